@@ -0,0 +1,221 @@
+import Matter from 'matter-js';
+import { LINK_KINDS, validateModel } from './core.js';
+
+const { Vector } = Matter;
+
+export const API_EVENTS = ['collision', 'selectionchange', 'history', 'error'];
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export class PlaygroundAPI {
+  constructor(playground) {
+    this.playground = playground;
+    this.batchDepth = 0;
+    this.batchLabels = [];
+  }
+
+  objects() {
+    return copy(this.playground.objects);
+  }
+
+  getObject(id) {
+    return copy(this.playground.objects.find((o) => o.id === id)) || null;
+  }
+
+  addObject({ id, shape = { type: 'circle', radius: 30 }, position, bodyType = 'dynamic', physics, visual, ...rest } = {}) {
+    const p = this.editable();
+    const nextId = p.nextId;
+    const centre = { x: p.worldSettings.width / 2, y: p.worldSettings.height / 2 };
+    const model = p.createModel({ position: { ...centre, ...position }, shape: copy(shape), bodyType });
+    Object.assign(model, copy(rest));
+    model.physics = { ...model.physics, ...physics };
+    model.visual = { ...model.visual, ...visual };
+    try {
+      this.check(model);
+    } catch (err) {
+      p.nextId = nextId;
+      throw err;
+    }
+    p.addModelToWorld(model);
+    this.commit(`Add ${model.shape.type}`);
+    return model.id;
+  }
+
+  updateObject(id, { id: ignored, physics, visual, shape, ...rest } = {}) {
+    const p = this.editable();
+    const model = this.requireObject(id);
+    const next = { ...copy(model), ...copy(rest) };
+    if (physics) next.physics = { ...next.physics, ...physics };
+    if (visual) next.visual = { ...next.visual, ...visual };
+    if (shape) next.shape = copy(shape.type && shape.type !== model.shape.type ? shape : { ...model.shape, ...shape });
+    this.check(next);
+    p.replaceModel(next, Boolean(rest.position || rest.angle !== undefined));
+    this.commit(`Edit ${id}`);
+    return copy(next);
+  }
+
+  removeObject(id) {
+    const p = this.editable();
+    this.requireObject(id);
+    p.removeObject(id);
+    if (p.selectedIds.includes(id)) this.select(p.selectedIds.filter((selected) => selected !== id));
+    this.commit(`Delete ${id}`);
+  }
+
+  links() {
+    return copy(this.playground.links);
+  }
+
+  getLink(id) {
+    return copy(this.playground.links.find((l) => l.id === id)) || null;
+  }
+
+  addLink({ a, b = null, kind = 'spring', pointA = { x: 0, y: 0 }, pointB, options, render, segments } = {}) {
+    const p = this.editable();
+    if (!LINK_KINDS[kind]) throw new Error(`Unknown link kind "${kind}" (use ${Object.keys(LINK_KINDS).join(', ')})`);
+    const bodyA = p.bodyMap.get(this.requireObject(a).id);
+    const bodyB = b ? p.bodyMap.get(this.requireObject(b).id) : null;
+    const toWorld = (body, point = { x: 0, y: 0 }) => Vector.add(body.position, Vector.rotate(point, body.angle));
+    const from = { id: a, point: toWorld(bodyA, pointA) };
+    const to = { id: b, point: bodyB ? toWorld(bodyB, pointB) : { ...from.point, ...pointB } };
+    const link = p.createLink(from, to, kind);
+    if (!link) throw new Error(`Couldn't link "${a}" to "${b}"`);
+    if (options || render || segments) {
+      const next = { ...copy(link), options: { ...link.options, ...options }, render: { ...link.render, ...render } };
+      if (segments) next.segments = segments;
+      p.replaceLink(next);
+    }
+    this.commit(`Add ${kind} link`);
+    return link.id;
+  }
+
+  updateLink(id, { options, render, segments } = {}) {
+    const p = this.editable();
+    const link = this.requireLink(id);
+    const next = { ...copy(link), options: { ...link.options, ...options }, render: { ...link.render, ...render } };
+    if (segments) next.segments = segments;
+    p.replaceLink(next);
+    this.commit(`Edit ${id}`);
+    return copy(next);
+  }
+
+  removeLink(id) {
+    const p = this.editable();
+    this.requireLink(id);
+    p.removeLink(id);
+    if (p.selectedLinkId === id) p.clearSelection();
+    this.commit(`Delete ${id}`);
+  }
+
+  select(ids = []) {
+    const p = this.playground;
+    const list = [].concat(ids);
+    const link = list.find((id) => p.links.some((l) => l.id === id));
+    if (link) {
+      p.selectLink(link);
+      return this.selection();
+    }
+    list.forEach((id) => this.requireObject(id));
+    if (!list.length) {
+      p.clearSelection();
+      return this.selection();
+    }
+    p.selectedIds = [...list];
+    p.selectedLinkId = null;
+    p.updateSelectionVisuals();
+    p.showInspector();
+    return this.selection();
+  }
+
+  selection() {
+    return { objects: [...this.playground.selectedIds], link: this.playground.selectedLinkId };
+  }
+
+  run() {
+    const p = this.playground;
+    if (p.replaying) return;
+    if (p.mode === 'edit') p.startSimulation();
+    else p.setRunning(true);
+  }
+
+  pause() {
+    if (this.playground.mode === 'simulate') this.playground.setRunning(false);
+  }
+
+  step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.playground.stepForward();
+    }
+    return this.state();
+  }
+
+  stop() {
+    this.playground.stopSimulation();
+  }
+
+  state() {
+    const { mode, paused, tick } = this.playground;
+    return { mode, paused, tick, ...this.playground.getState() };
+  }
+
+  undo() {
+    this.playground.undo();
+  }
+
+  redo() {
+    this.playground.redo();
+  }
+
+  on(type, handler) {
+    if (!API_EVENTS.includes(type)) throw new Error(`Unknown event "${type}" (use ${API_EVENTS.join(', ')})`);
+    return this.playground.on(type, handler);
+  }
+
+  off(type, handler) {
+    this.playground.off(type, handler);
+  }
+
+  async batch(fn) {
+    this.batchDepth += 1;
+    try {
+      return await fn();
+    } finally {
+      this.batchDepth -= 1;
+      if (!this.batchDepth && this.batchLabels.length) {
+        const labels = this.batchLabels;
+        this.batchLabels = [];
+        this.playground.commitHistory(labels.length === 1 ? labels[0] : `Script (${labels.length} changes)`);
+      }
+    }
+  }
+
+  commit(label) {
+    if (this.batchDepth) this.batchLabels.push(label);
+    else this.playground.commitHistory(label);
+  }
+
+  editable() {
+    if (this.playground.readOnly) throw new Error('This shared scene is read-only • fork it before editing');
+    return this.playground;
+  }
+
+  check(model) {
+    const problems = [];
+    validateModel(problems, model.id, model);
+    if (problems.length) throw new Error(problems.join('\n'));
+  }
+
+  requireObject(id) {
+    const model = this.playground.objects.find((o) => o.id === id);
+    if (!model) throw new Error(`No object with id "${id}"`);
+    return model;
+  }
+
+  requireLink(id) {
+    const link = this.playground.links.find((l) => l.id === id);
+    if (!link) throw new Error(`No link with id "${id}"`);
+    return link;
+  }
+}
@@ -0,0 +1,1354 @@
+import Matter from 'matter-js';
+import decomp from 'poly-decomp';
+
+const { Engine, World, Bodies, Body, Composite, Events, Bounds, Vertices, Vector, Constraint, Common, Sleeping, Query } = Matter;
+
+Common.setDecomp(decomp);
+
+export const PHYSICS_PRESETS = {
+  Rubber: { restitution: 0.9, friction: 0.05, frictionAir: 0.005, density: 0.001, frictionStatic: 0.2 },
+  Ice: { restitution: 0.3, friction: 0.01, frictionAir: 0.001, density: 0.001, frictionStatic: 0.05 },
+  Wood: { restitution: 0.2, friction: 0.2, frictionAir: 0.01, density: 0.0012, frictionStatic: 0.5 },
+  Metal: { restitution: 0.05, friction: 0.3, frictionAir: 0.002, density: 0.003, frictionStatic: 0.9 },
+  Balloon: { restitution: 0.8, friction: 0.01, frictionAir: 0.06, density: 0.0006, frictionStatic: 0.05 }
+};
+
+export const VISUAL_PRESETS = {
+  Neon: { fill: '#0ea5e9', stroke: '#67e8f9', strokeWidth: 3, opacity: 1, renderMode: 'solid' },
+  Wireframe: { fill: '#0f172a', stroke: '#f3f4f6', strokeWidth: 2, opacity: 1, renderMode: 'outline' },
+  Paper: { fill: '#fef3c7', stroke: '#78350f', strokeWidth: 2, opacity: 0.95, renderMode: 'solid' },
+  Glass: { fill: '#7dd3fc', stroke: '#e0f2fe', strokeWidth: 2, opacity: 0.35, renderMode: 'gradient' }
+};
+
+const DEFAULT_PHYSICS = {
+  restitution: 0.2,
+  friction: 0.1,
+  frictionAir: 0.01,
+  frictionStatic: 0.5,
+  density: 0.001
+};
+
+export const DEFAULT_VISUAL = {
+  fill: '#4f46e5',
+  stroke: '#111827',
+  strokeWidth: 2,
+  opacity: 1,
+  renderMode: 'solid'
+};
+
+export const DEFAULT_LINK_RENDER = {
+  visible: true,
+  color: '#64748b',
+  width: 2,
+  type: 'spring'
+};
+
+export const RULE_TRIGGERS = {
+  touch: 'touches me',
+  enter: 'enters me',
+  leave: 'leaves me'
+};
+
+export const RULE_ACTIONS = {
+  recolor: { label: 'Recolor', defaults: { target: 'self', color: '#f97316' } },
+  delete: { label: 'Delete other', defaults: {} },
+  spawn: { label: 'Spawn', defaults: { preset: 'Ball' } },
+  impulse: { label: 'Impulse', defaults: { target: 'other', dx: 0, dy: -8 } },
+  toggleStatic: { label: 'Toggle static', defaults: { target: 'self' } },
+  counter: { label: 'Count', defaults: {} }
+};
+
+export const SPAWN_PRESETS = {
+  Ball: { shape: { type: 'circle', radius: 16 }, physics: 'Rubber', visual: 'Neon' },
+  Crate: { shape: { type: 'rectangle', width: 36, height: 36 }, physics: 'Wood', visual: 'Paper' },
+  Gem: { shape: { type: 'polygon', sides: 6, radius: 18 }, physics: 'Metal', visual: 'Glass' }
+};
+
+export const FIELD_KINDS = {
+  wind: { label: 'wind', fill: '#38bdf8' },
+  attract: { label: 'attractor', fill: '#22c55e' },
+  repel: { label: 'repulsor', fill: '#f43f5e' },
+  magnet: { label: 'magnet', fill: '#a855f7' }
+};
+const FIELD_REGIONS = ['wind', 'attract', 'repel'];
+const FIELD_FORCE_SCALE = 0.001;
+const FIELD_CORE = 40;
+const MOTOR_BASE_STEP = 1000 / 60;
+const MOTOR_TORQUE_SCALE = 0.00001;
+const CONVEYOR_GRIP = 0.2;
+
+const SCENE_VERSION = 2;
+const SCENE_KEYS = ['version', 'objects', 'links', 'world', 'nextId', 'nextLinkId', 'runtime'];
+const BODY_TYPES = ['dynamic', 'static', 'sensor'];
+const RENDER_MODES = ['solid', 'outline', 'gradient'];
+const MOTOR_MODES = ['off', 'spin', 'torque', 'piston', 'conveyor'];
+const MAX_REPORTED_PROBLEMS = 12;
+const HISTORY_LIMIT = 200;
+const HISTORY_BUDGET = 8 * 1024 * 1024;
+
+const SCENE_MIGRATIONS = {
+  1: (scene) => ({
+    ...scene,
+    links: (scene.links || []).map((link) => ({
+      kind: 'spring',
+      ...link,
+      render: { ...DEFAULT_LINK_RENDER, ...link.render }
+    })),
+    world: { ...DEFAULT_WORLD, ...scene.world }
+  })
+};
+
+export const LINK_KINDS = {
+  spring: { options: { stiffness: 0.04, damping: 0.02 }, render: { type: 'spring' } },
+  rope: { options: { stiffness: 1, damping: 0 }, render: { type: 'line' } },
+  weld: { options: { stiffness: 1, damping: 0 }, render: { type: 'line' } },
+  pin: { options: { stiffness: 1, damping: 0 }, render: { type: 'pin' } },
+  chain: { options: { stiffness: 0.9, damping: 0.05 }, render: { type: 'line' }, segments: 8 }
+};
+
+const WELD_SPAN = 24;
+const CHAIN_THICKNESS = 6;
+
+export const MAX_LAYERS = 32;
+export const ALL_LAYERS = 0xffffffff;
+
+export const DEFAULT_WORLD = {
+  width: 2400,
+  height: 1600,
+  gravity: { angle: 90, strength: 1 },
+  timeScale: 1,
+  positionIterations: 6,
+  velocityIterations: 4,
+  constraintIterations: 2,
+  sleeping: true,
+  delta: 1000 / 60,
+  layers: [{ name: 'Default', mask: ALL_LAYERS }]
+};
+
+function fieldFalloff(falloff, distance, reach) {
+  if (falloff === 'linear') return 1 - distance / reach;
+  if (falloff === 'inverse-square') return Math.min(1, (FIELD_CORE / distance) ** 2);
+  return 1;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPoint(point) {
+  return isNumber(point?.x) && isNumber(point?.y);
+}
+
+function checkNumber(problems, path, value, { min = -Infinity, max = Infinity, optional = false } = {}) {
+  if (optional && value === undefined) return;
+  if (isNumber(value) && value >= min && value <= max) return;
+  const range = min > -Infinity && max < Infinity ? ` between ${min} and ${max}` : min > -Infinity ? ` of at least ${min}` : '';
+  problems.push(`${path} must be a number${range} (got ${JSON.stringify(value)})`);
+}
+
+function checkOneOf(problems, path, value, options, optional = false) {
+  if (optional && value === undefined) return;
+  if (!options.includes(value)) problems.push(`${path} must be one of ${options.join(', ')} (got ${JSON.stringify(value)})`);
+}
+
+function checkPoint(problems, path, point, optional = false) {
+  if (optional && point === undefined) return;
+  if (!isPoint(point)) problems.push(`${path} must be an {x, y} pair of numbers`);
+}
+
+function validateShape(problems, path, shape, allowCompound) {
+  if (!shape || typeof shape !== 'object') {
+    problems.push(`${path} is missing`);
+    return;
+  }
+  if (shape.type === 'circle') checkNumber(problems, `${path}.radius`, shape.radius, { min: 1 });
+  else if (shape.type === 'rectangle') {
+    checkNumber(problems, `${path}.width`, shape.width, { min: 1 });
+    checkNumber(problems, `${path}.height`, shape.height, { min: 1 });
+  } else if (shape.type === 'polygon') {
+    checkNumber(problems, `${path}.sides`, shape.sides, { min: 3, optional: true });
+    checkNumber(problems, `${path}.radius`, shape.radius, { min: 1 });
+  } else if (shape.type === 'vertices') {
+    if (!Array.isArray(shape.vertices) || shape.vertices.length < 3) problems.push(`${path}.vertices must list at least 3 points`);
+    else shape.vertices.forEach((v, i) => checkPoint(problems, `${path}.vertices[${i}]`, v));
+  } else if (shape.type === 'compound' && allowCompound) {
+    if (!Array.isArray(shape.parts) || !shape.parts.length) {
+      problems.push(`${path}.parts must list at least one part`);
+      return;
+    }
+    shape.parts.forEach((part, i) => {
+      const partPath = `${path}.parts[${i}]`;
+      if (typeof part?.id !== 'string' || !part.id) problems.push(`${partPath}.id must be a non-empty string`);
+      validateShape(problems, `${partPath}.shape`, part?.shape, false);
+      checkPoint(problems, `${partPath}.offset`, part?.offset);
+      checkNumber(problems, `${partPath}.angle`, part?.angle, { optional: true });
+      validateVisual(problems, `${partPath}.visual`, part?.visual);
+    });
+  } else {
+    const types = ['circle', 'rectangle', 'polygon', 'vertices', ...(allowCompound ? ['compound'] : [])];
+    checkOneOf(problems, `${path}.type`, shape.type, types);
+  }
+}
+
+export function validatePhysics(problems, path, physics) {
+  if (!physics || typeof physics !== 'object') {
+    problems.push(`${path} is missing`);
+    return;
+  }
+  ['restitution', 'friction', 'frictionAir', 'frictionStatic', 'density'].forEach((key) => {
+    checkNumber(problems, `${path}.${key}`, physics[key], { min: 0, optional: key === 'frictionStatic' });
+  });
+}
+
+export function validateVisual(problems, path, visual) {
+  if (!visual || typeof visual !== 'object') {
+    problems.push(`${path} is missing`);
+    return;
+  }
+  ['fill', 'stroke'].forEach((key) => {
+    if (!/^#[0-9a-f]{3,8}$/i.test(visual[key] || '')) problems.push(`${path}.${key} must be a hex colour (got ${JSON.stringify(visual[key])})`);
+  });
+  checkNumber(problems, `${path}.strokeWidth`, visual.strokeWidth, { min: 0 });
+  checkNumber(problems, `${path}.opacity`, visual.opacity, { min: 0, max: 1 });
+  checkOneOf(problems, `${path}.renderMode`, visual.renderMode, RENDER_MODES, true);
+}
+
+export function validateModel(problems, path, model) {
+  checkPoint(problems, `${path}.position`, model.position);
+  checkNumber(problems, `${path}.angle`, model.angle, { optional: true });
+  checkOneOf(problems, `${path}.bodyType`, model.bodyType, BODY_TYPES);
+  validateShape(problems, `${path}.shape`, model.shape, true);
+  validatePhysics(problems, `${path}.physics`, model.physics);
+  validateVisual(problems, `${path}.visual`, model.visual);
+  if (model.rules !== undefined && !Array.isArray(model.rules)) problems.push(`${path}.rules must be a list`);
+  (Array.isArray(model.rules) ? model.rules : []).forEach((rule, i) => {
+    checkOneOf(problems, `${path}.rules[${i}].trigger`, rule?.trigger, Object.keys(RULE_TRIGGERS));
+    checkOneOf(problems, `${path}.rules[${i}].action`, rule?.action, Object.keys(RULE_ACTIONS));
+  });
+  if (model.emitter !== undefined) {
+    checkOneOf(problems, `${path}.emitter.template.shape`, model.emitter?.template?.shape, ['circle', 'rectangle', 'polygon']);
+    checkNumber(problems, `${path}.emitter.rate`, model.emitter?.rate, { min: 0 });
+    checkNumber(problems, `${path}.emitter.maxAlive`, model.emitter?.maxAlive, { min: 0 });
+  }
+  if (model.field !== undefined) {
+    checkOneOf(problems, `${path}.field.kind`, model.field?.kind, Object.keys(FIELD_KINDS));
+    checkNumber(problems, `${path}.field.strength`, model.field?.strength);
+  }
+  if (model.motor !== undefined) checkOneOf(problems, `${path}.motor.mode`, model.motor?.mode, MOTOR_MODES);
+  if (model.collision !== undefined) {
+    const { layer = 0, group = 0 } = model.collision || {};
+    if (!Number.isInteger(layer) || layer < 0 || layer >= MAX_LAYERS) {
+      problems.push(`${path}.collision.layer must be a layer index from 0 to ${MAX_LAYERS - 1} (got ${JSON.stringify(layer)})`);
+    }
+    if (!Number.isInteger(group) || group < 0) problems.push(`${path}.collision.group must be a whole number of at least 0 (got ${JSON.stringify(group)})`);
+  }
+  if (model.preset !== undefined) {
+    if (!model.preset || typeof model.preset !== 'object') problems.push(`${path}.preset must be an object`);
+    else {
+      ['physics', 'visual'].forEach((kind) => {
+        const id = model.preset[kind];
+        if (id !== undefined && (typeof id !== 'string' || !id)) problems.push(`${path}.preset.${kind} must be a preset id (got ${JSON.stringify(id)})`);
+      });
+    }
+  }
+}
+
+function validateScene(scene) {
+  const problems = [];
+  if (!Array.isArray(scene.objects)) return ['objects must be a list of objects'];
+  const ids = new Set();
+  scene.objects.forEach((model, i) => {
+    const path = `objects[${i}]${typeof model?.id === 'string' ? ` (${model.id})` : ''}`;
+    if (!model || typeof model !== 'object') {
+      problems.push(`${path} must be an object`);
+      return;
+    }
+    if (typeof model.id !== 'string' || !model.id) problems.push(`${path}.id must be a non-empty string`);
+    else if (ids.has(model.id)) problems.push(`${path}.id is used more than once`);
+    ids.add(model.id);
+    if (model.shape?.type === 'compound' && Array.isArray(model.shape.parts)) model.shape.parts.forEach((part) => ids.add(part?.id));
+    validateModel(problems, path, model);
+  });
+  if (scene.links !== undefined && !Array.isArray(scene.links)) problems.push('links must be a list');
+  const linkIds = new Set();
+  (Array.isArray(scene.links) ? scene.links : []).forEach((link, i) => {
+    const path = `links[${i}]${typeof link?.id === 'string' ? ` (${link.id})` : ''}`;
+    if (typeof link?.id !== 'string' || !link.id) problems.push(`${path}.id must be a non-empty string`);
+    else if (linkIds.has(link.id)) problems.push(`${path}.id is used more than once`);
+    linkIds.add(link?.id);
+    checkOneOf(problems, `${path}.kind`, link?.kind, Object.keys(LINK_KINDS), true);
+    if (!ids.has(link?.a)) problems.push(`${path}.a refers to unknown object ${JSON.stringify(link?.a)}`);
+    if (link?.b && !ids.has(link.b)) problems.push(`${path}.b refers to unknown object ${JSON.stringify(link.b)}`);
+    checkPoint(problems, `${path}.pointA`, link?.pointA, true);
+    checkPoint(problems, `${path}.pointB`, link?.pointB, Boolean(link?.b));
+    checkNumber(problems, `${path}.options.stiffness`, link?.options?.stiffness, { min: 0, max: 1, optional: true });
+    checkNumber(problems, `${path}.options.damping`, link?.options?.damping, { min: 0, max: 1, optional: true });
+    checkNumber(problems, `${path}.options.length`, link?.options?.length, { min: 0, optional: true });
+    checkNumber(problems, `${path}.segments`, link?.segments, { min: 1, optional: true });
+  });
+  if (scene.world !== undefined) {
+    const world = scene.world || {};
+    checkNumber(problems, 'world.width', world.width, { min: 1, optional: true });
+    checkNumber(problems, 'world.height', world.height, { min: 1, optional: true });
+    checkNumber(problems, 'world.gravity.angle', world.gravity?.angle, { optional: true });
+    checkNumber(problems, 'world.gravity.strength', world.gravity?.strength, { optional: true });
+    checkNumber(problems, 'world.timeScale', world.timeScale, { min: 0, optional: true });
+    checkNumber(problems, 'world.delta', world.delta, { min: 1, optional: true });
+    if (world.layers !== undefined) {
+      if (!Array.isArray(world.layers) || !world.layers.length || world.layers.length > MAX_LAYERS) {
+        problems.push(`world.layers must list between 1 and ${MAX_LAYERS} layers`);
+      } else {
+        world.layers.forEach((layer, i) => {
+          if (typeof layer?.name !== 'string' || !layer.name) problems.push(`world.layers[${i}].name must be a non-empty string`);
+          checkNumber(problems, `world.layers[${i}].mask`, layer?.mask, { min: 0, max: ALL_LAYERS });
+        });
+      }
+    }
+  }
+  checkNumber(problems, 'nextId', scene.nextId, { min: 1, optional: true });
+  checkNumber(problems, 'nextLinkId', scene.nextLinkId, { min: 1, optional: true });
+  if (scene.runtime !== undefined && !Array.isArray(scene.runtime?.bodies)) problems.push('runtime.bodies must be a list');
+  return problems;
+}
+
+export function prepareScene(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('The file does not contain a scene object.');
+  const version = data.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown scene version ${JSON.stringify(data.version)}.`);
+  if (version > SCENE_VERSION) throw new Error(`Scene version ${version} is newer than this playground supports (${SCENE_VERSION}).`);
+  let scene = data;
+  for (let v = version; v < SCENE_VERSION; v++) scene = SCENE_MIGRATIONS[v](scene);
+  const problems = validateScene(scene);
+  if (problems.length) {
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS).map((problem) => `• ${problem}`);
+    if (problems.length > shown.length) shown.push(`…and ${problems.length - shown.length} more`);
+    throw new Error(`${problems.length} problem${problems.length === 1 ? '' : 's'} found:\n${shown.join('\n')}`);
+  }
+  return { ...scene, version: SCENE_VERSION };
+}
+
+function packScene(scene, base) {
+  const shared = new Map();
+  if (base) [...base.objects, ...base.links].forEach((text) => shared.set(text, text));
+  let size = 0;
+  const pack = (item) => {
+    const text = JSON.stringify(item);
+    if (shared.has(text)) return shared.get(text);
+    size += text.length;
+    return text;
+  };
+  const { objects, links = [], ...rest } = scene;
+  const packed = { rest: JSON.stringify(rest), objects: objects.map(pack), links: links.map(pack) };
+  return { packed, size: size + packed.rest.length };
+}
+
+function packedSize({ rest, objects, links }) {
+  return [...objects, ...links].reduce((total, text) => total + text.length, rest.length);
+}
+
+function unpackScene({ rest, objects, links }) {
+  return { ...JSON.parse(rest), objects: objects.map((text) => JSON.parse(text)), links: links.map((text) => JSON.parse(text)) };
+}
+
+function tensionRope(constraint, span, { stiffness, damping, length }) {
+  const taut = span >= length;
+  constraint.length = length;
+  constraint.stiffness = taut ? stiffness : 0;
+  constraint.damping = taut ? damping : 0;
+}
+
+export function constraintEnds(constraint) {
+  const a = constraint.bodyA ? Vector.add(constraint.bodyA.position, constraint.pointA) : constraint.pointA;
+  const b = constraint.bodyB ? Vector.add(constraint.bodyB.position, constraint.pointB) : constraint.pointB;
+  return [a, b];
+}
+
+export class SceneCore {
+  constructor() {
+    this.engine = Engine.create({ enableSleeping: true });
+    this.objects = [];
+    this.links = [];
+    this.bodyMap = new Map();
+    this.linkMap = new Map();
+    this.worldSettings = structuredClone(DEFAULT_WORLD);
+    this.playbackSpeed = 1;
+    this.runtimeBodies = new Set();
+    this.ruleContacts = new Map();
+    this.ruleQueue = [];
+    this.ruleCounts = new Map();
+    this.emitterStates = new Map();
+    this.sceneExtras = {};
+    this.listeners = new Map();
+    this.collisionGroups = new Map();
+    this.history = [];
+    this.historyIndex = -1;
+    this.historyDropped = 0;
+    this.coalescing = null;
+    this.nextId = 1;
+    this.nextLinkId = 1;
+    this.mode = 'simulate';
+    this.configureEngine();
+    this.addBounds();
+
+    Events.on(this.engine, 'beforeUpdate', () => {
+      this.updateRopes();
+      this.applyFields();
+      this.driveMotors();
+      this.updateEmitters();
+    });
+    Events.on(this.engine, 'collisionStart', (e) => {
+      this.handleCollisions(e.pairs, 'start');
+      this.emitCollisions(e.pairs);
+    });
+    Events.on(this.engine, 'collisionEnd', (e) => this.handleCollisions(e.pairs, 'end'));
+    Events.on(this.engine, 'afterUpdate', () => this.flushRuleActions());
+  }
+
+  setWorldSettings(settings = {}) {
+    const previous = this.worldSettings;
+    const next = {
+      ...DEFAULT_WORLD,
+      ...settings,
+      gravity: { ...DEFAULT_WORLD.gravity, ...settings.gravity }
+    };
+    next.width = Math.max(400, Number(next.width) || DEFAULT_WORLD.width);
+    next.height = Math.max(400, Number(next.height) || DEFAULT_WORLD.height);
+    next.layers = (Array.isArray(next.layers) && next.layers.length ? next.layers : DEFAULT_WORLD.layers)
+      .slice(0, MAX_LAYERS)
+      .map((layer, i) => ({ name: String(layer.name || `Layer ${i + 1}`), mask: Number(layer.mask) >>> 0 }));
+    this.worldSettings = next;
+    this.configureEngine();
+    if (!this.bounds || previous.width !== next.width || previous.height !== next.height) this.addBounds();
+    this.objects.forEach((model) => this.applyCollisionFilter(model));
+  }
+
+  configureEngine() {
+    const { engine, worldSettings: world } = this;
+    const radians = (world.gravity.angle * Math.PI) / 180;
+    engine.gravity.x = Math.round(Math.cos(radians) * world.gravity.strength * 1e6) / 1e6;
+    engine.gravity.y = Math.round(Math.sin(radians) * world.gravity.strength * 1e6) / 1e6;
+    engine.timing.timeScale = world.timeScale * this.playbackSpeed;
+    engine.positionIterations = world.positionIterations;
+    engine.velocityIterations = world.velocityIterations;
+    engine.constraintIterations = world.constraintIterations;
+    engine.enableSleeping = world.sleeping;
+    if (!world.sleeping) Composite.allBodies(engine.world).forEach((body) => Sleeping.set(body, false));
+  }
+
+  setPlaybackSpeed(speed) {
+    this.playbackSpeed = speed;
+    this.configureEngine();
+  }
+
+  addBounds() {
+    if (this.bounds) {
+      this.bounds.forEach((wall) => World.remove(this.engine.world, wall));
+    }
+    const w = this.worldSettings.width;
+    const h = this.worldSettings.height;
+    const thickness = 80;
+    const opts = { isStatic: true, collisionFilter: { category: ALL_LAYERS, mask: ALL_LAYERS } };
+    this.bounds = [
+      Bodies.rectangle(w / 2, h + thickness / 2, w, thickness, opts),
+      Bodies.rectangle(w / 2, -thickness / 2, w, thickness, opts),
+      Bodies.rectangle(-thickness / 2, h / 2, thickness, h, opts),
+      Bodies.rectangle(w + thickness / 2, h / 2, thickness, h, opts)
+    ];
+    World.add(this.engine.world, this.bounds);
+  }
+
+  createModel({ position, shape, bodyType }) {
+    const id = `obj-${this.nextId++}`;
+    return {
+      id,
+      label: shape.type,
+      position,
+      angle: 0,
+      bodyType,
+      locked: false,
+      shape,
+      physics: { ...DEFAULT_PHYSICS },
+      visual: { ...DEFAULT_VISUAL },
+      rules: []
+    };
+  }
+
+  addModelToWorld(model) {
+    this.objects.push(model);
+    const body = this.buildBody(model);
+    World.add(this.engine.world, body);
+    this.bodyMap.set(model.id, body);
+  }
+
+  buildBody(model) {
+    const opts = this.bodyOptionsFor(model);
+    let body;
+    if (model.shape.type === 'compound') {
+      body = this.buildCompound(model, opts);
+      Body.setPosition(body, model.position);
+    } else {
+      body = this.buildShape(model.shape, model.position, opts);
+    }
+    if (model.angle) Body.setAngle(body, model.angle);
+    body.plugin = { modelId: model.id, locked: model.locked };
+    this.applyMotor(body, model);
+    return body;
+  }
+
+  bodyOptionsFor(model) {
+    return {
+      restitution: model.physics.restitution,
+      friction: model.physics.friction,
+      frictionAir: model.physics.frictionAir,
+      frictionStatic: model.physics.frictionStatic,
+      density: model.physics.density,
+      isStatic: model.bodyType === 'static' || this.isFieldRegion(model),
+      isSensor: model.bodyType === 'sensor' || this.isFieldRegion(model),
+      collisionFilter: this.collisionFilterFor(model),
+      render: { ...this.renderOptionsFor(model.visual), visible: !this.isFieldRegion(model) }
+    };
+  }
+
+  collisionFilterFor(model) {
+    const { layers } = this.worldSettings;
+    const layer = Math.min(model.collision?.layer || 0, layers.length - 1);
+    return { category: 2 ** layer, mask: layers[layer].mask, group: this.collisionGroup(model.collision?.group) };
+  }
+
+  collisionGroup(group) {
+    if (!group) return 0;
+    if (!this.collisionGroups.has(group)) this.collisionGroups.set(group, Body.nextGroup(true));
+    return this.collisionGroups.get(group);
+  }
+
+  applyCollisionFilter(model) {
+    const body = this.bodyMap.get(model.id);
+    if (!body) return;
+    const filter = this.collisionFilterFor(model);
+    body.parts.forEach((part) => {
+      part.collisionFilter = { ...filter };
+    });
+  }
+
+  isFieldRegion(model) {
+    return FIELD_REGIONS.includes(model.field?.kind);
+  }
+
+  buildShape(shape, position, opts) {
+    if (shape.type === 'circle') {
+      return Bodies.circle(position.x, position.y, shape.radius, opts);
+    }
+    if (shape.type === 'rectangle') {
+      return Bodies.rectangle(position.x, position.y, shape.width, shape.height, opts);
+    }
+    if (shape.type === 'vertices') {
+      const outline = shape.vertices.map((v) => ({ x: v.x, y: v.y }));
+      const body = Bodies.fromVertices(position.x, position.y, [outline], opts);
+      this.applyBodyRender(body, opts.render);
+      return body;
+    }
+    const sides = Math.max(3, shape.sides || 5);
+    return Bodies.polygon(position.x, position.y, sides, shape.radius, opts);
+  }
+
+  buildCompound(model, opts) {
+    const pieces = [];
+    model.shape.parts.forEach((part) => {
+      const position = Vector.add(model.position, part.offset);
+      const partBody = this.buildShape(part.shape, position, { ...opts, render: this.renderOptionsFor(part.visual) });
+      if (part.angle) Body.setAngle(partBody, part.angle);
+      const partPieces = partBody.parts.length > 1 ? partBody.parts.slice(1) : [partBody];
+      partPieces.forEach((piece) => {
+        piece.plugin = { modelId: model.id, partId: part.id };
+        pieces.push(piece);
+      });
+    });
+    return Body.create({ ...opts, parts: pieces });
+  }
+
+  applyBodyRender(body, render) {
+    body.parts.forEach((part) => {
+      part.render = { ...part.render, ...render };
+    });
+  }
+
+  renderOptionsFor(visual) {
+    const base = {
+      fillStyle: visual.fill,
+      strokeStyle: visual.stroke,
+      lineWidth: visual.strokeWidth,
+      opacity: visual.opacity
+    };
+    if (visual.renderMode === 'outline') {
+      base.fillStyle = 'transparent';
+    }
+    if (visual.renderMode === 'gradient') {
+      base.fillStyle = this.gradientFor(visual);
+    }
+    return base;
+  }
+
+  gradientFor(visual) {
+    return visual.fill;
+  }
+
+  handleCollisions(pairs, phase) {
+    if (this.mode !== 'simulate') return;
+    pairs.forEach(({ bodyA, bodyB }) => {
+      this.collideWith(bodyA.parent, bodyB.parent, phase);
+      this.collideWith(bodyB.parent, bodyA.parent, phase);
+    });
+  }
+
+  collideWith(self, other, phase) {
+    const model = this.objects.find((o) => o.id === self.plugin?.modelId);
+    if (!model?.rules?.length || this.bodyMap.get(model.id) !== self) return;
+    const key = `${self.id}:${other.id}`;
+    const count = (this.ruleContacts.get(key) || 0) + (phase === 'start' ? 1 : -1);
+    if (count > 0) this.ruleContacts.set(key, count);
+    else this.ruleContacts.delete(key);
+    const triggers = phase === 'start' ? (count === 1 ? ['touch', 'enter'] : ['touch']) : count === 0 ? ['leave'] : [];
+    model.rules.forEach((rule, index) => {
+      if (triggers.includes(rule.trigger) && this.ruleMatches(rule, other)) {
+        this.ruleQueue.push({ model, index, rule, self, other });
+      }
+    });
+  }
+
+  ruleMatches(rule, other) {
+    if (!other.plugin?.modelId && !other.plugin?.runtime) return false;
+    if (rule.with === 'dynamic') return !other.isStatic && !other.isSensor;
+    if (rule.with === 'static') return other.isStatic;
+    if (rule.with === 'sensor') return other.isSensor;
+    if (rule.with && rule.with !== 'any') return other.plugin.modelId === rule.with;
+    return true;
+  }
+
+  flushRuleActions() {
+    const queue = this.ruleQueue;
+    this.ruleQueue = [];
+    queue.forEach((entry) => this.runRuleAction(entry));
+  }
+
+  runRuleAction({ model, index, rule, self, other }) {
+    const subject = rule.target === 'other' ? other : self;
+    if (rule.action === 'recolor') {
+      if (!subject.plugin.baseFills) subject.plugin.baseFills = subject.parts.map((part) => part.render.fillStyle);
+      [subject, ...subject.parts.slice(1)].forEach((part) => {
+        part.render.fillStyle = rule.color;
+      });
+    }
+    if (rule.action === 'delete') this.removeRuntimeBody(other);
+    if (rule.action === 'spawn' && SPAWN_PRESETS[rule.preset]) {
+      this.spawnRuntimeBody(SPAWN_PRESETS[rule.preset], { x: self.position.x, y: self.bounds.min.y - 30 });
+    }
+    if (rule.action === 'impulse' && !subject.isStatic) {
+      Sleeping.set(subject, false);
+      Body.setVelocity(subject, Vector.add(subject.velocity, { x: rule.dx || 0, y: rule.dy || 0 }));
+    }
+    if (rule.action === 'toggleStatic') {
+      Sleeping.set(subject, false);
+      Body.setStatic(subject, !subject.isStatic);
+    }
+    if (rule.action === 'counter') {
+      const key = `${model.id}:${index}`;
+      const count = (this.ruleCounts.get(key) || 0) + 1;
+      this.ruleCounts.set(key, count);
+    }
+  }
+
+  applyMotor(body, model) {
+    if (model.motor && model.motor.mode !== 'off') {
+      body.plugin.motor = { ...model.motor, origin: { ...model.position }, direction: 1 };
+    }
+  }
+
+  driveMotors() {
+    if (this.mode !== 'simulate') return;
+    const dt = (this.worldSettings.delta * this.engine.timing.timeScale) / 1000;
+    const conveyors = new Set();
+    this.bodyMap.forEach((body) => {
+      const motor = body.plugin.motor;
+      if (!motor) return;
+      if (motor.mode === 'conveyor') {
+        if (body.isStatic) conveyors.add(body);
+        return;
+      }
+      if (motor.mode === 'torque') {
+        if (body.isStatic) return;
+        if (body.isSleeping) Sleeping.set(body, false);
+        body.torque += motor.torque * body.inertia * MOTOR_TORQUE_SCALE;
+        return;
+      }
+      if (motor.mode === 'spin') {
+        const omega = (motor.speed * Math.PI) / 180;
+        if (body.isStatic) {
+          Body.setAngle(body, body.angle + omega * dt, true);
+          this.wakeAround(body);
+        } else {
+          if (body.isSleeping) Sleeping.set(body, false);
+          Body.setAngularVelocity(body, (omega * MOTOR_BASE_STEP) / 1000);
+        }
+        return;
+      }
+      if (motor.mode === 'piston') {
+        const axis = (motor.axis * Math.PI) / 180;
+        const unit = { x: Math.cos(axis), y: Math.sin(axis) };
+        const travel = Vector.dot(Vector.sub(body.position, motor.origin), unit);
+        if (travel >= motor.stroke) motor.direction = -1;
+        if (travel <= 0) motor.direction = 1;
+        const speed = motor.speed * motor.direction;
+        if (body.isStatic) {
+          Body.setPosition(body, Vector.add(body.position, Vector.mult(unit, speed * dt)), true);
+          this.wakeAround(body);
+        } else {
+          if (body.isSleeping) Sleeping.set(body, false);
+          const along = Vector.dot(body.velocity, unit);
+          Body.setVelocity(body, Vector.add(body.velocity, Vector.mult(unit, (speed * MOTOR_BASE_STEP) / 1000 - along)));
+        }
+      }
+    });
+    if (!conveyors.size) return;
+    this.engine.pairs.list.forEach((pair) => {
+      if (!pair.isActive || pair.isSensor) return;
+      const a = pair.bodyA.parent;
+      const b = pair.bodyB.parent;
+      const belt = conveyors.has(a) ? a : conveyors.has(b) ? b : null;
+      const rider = belt === a ? b : a;
+      if (!belt || rider.isStatic) return;
+      const tangent = { x: Math.cos(belt.angle), y: Math.sin(belt.angle) };
+      const target = (belt.plugin.motor.speed * MOTOR_BASE_STEP) / 1000;
+      const along = Vector.dot(rider.velocity, tangent);
+      Body.setVelocity(rider, Vector.add(rider.velocity, Vector.mult(tangent, (target - along) * CONVEYOR_GRIP)));
+    });
+  }
+
+  wakeAround(body) {
+    Query.region(Composite.allBodies(this.engine.world), body.bounds).forEach((other) => {
+      if (other.isSleeping) Sleeping.set(other, false);
+    });
+  }
+
+  applyFields() {
+    if (this.mode !== 'simulate') return;
+    const fields = this.objects.filter((model) => model.field && this.bodyMap.has(model.id));
+    if (!fields.length) return;
+    const tags = new Map(this.objects.map((model) => [model.id, model.tag]));
+    const bodies = Composite.allBodies(this.engine.world).filter((body) => !body.isStatic);
+    fields.forEach((model) => {
+      const source = this.bodyMap.get(model.id);
+      const { kind, strength, angle, falloff, radius } = model.field;
+      bodies.forEach((body) => {
+        if (body === source) return;
+        if (kind === 'magnet' ? !model.tag || tags.get(body.plugin?.modelId) !== model.tag : !this.insideRegion(source, body.position)) {
+          return;
+        }
+        let force;
+        if (kind === 'wind') {
+          const direction = (angle * Math.PI) / 180;
+          force = Vector.mult({ x: Math.cos(direction), y: Math.sin(direction) }, strength * body.mass * FIELD_FORCE_SCALE);
+        } else {
+          const offset = Vector.sub(source.position, body.position);
+          const distance = Vector.magnitude(offset);
+          const reach = kind === 'magnet' ? radius : (source.bounds.max.x - source.bounds.min.x) / 2;
+          if (distance < 1 || distance > reach) return;
+          const scale = fieldFalloff(falloff, distance, reach) * strength * body.mass * FIELD_FORCE_SCALE;
+          force = Vector.mult(Vector.normalise(offset), kind === 'repel' ? -scale : scale);
+          if (kind === 'magnet' && !source.isStatic) Body.applyForce(source, source.position, Vector.neg(force));
+        }
+        if (body.isSleeping) Sleeping.set(body, false);
+        Body.applyForce(body, body.position, force);
+      });
+    });
+  }
+
+  insideRegion(region, point) {
+    const parts = region.parts.length > 1 ? region.parts.slice(1) : region.parts;
+    return Bounds.contains(region.bounds, point) && parts.some((part) => Vertices.contains(part.vertices, point));
+  }
+
+  updateEmitters() {
+    if (this.mode !== 'simulate') return;
+    const dt = (this.worldSettings.delta * this.engine.timing.timeScale) / 1000;
+    this.objects.forEach((model) => {
+      const body = this.bodyMap.get(model.id);
+      if (!model.emitter || !body) return;
+      if (!this.emitterStates.has(model.id)) {
+        this.emitterStates.set(model.id, { carry: 0, time: 0, seed: parseInt(model.id.split('-')[1], 10) || 1, alive: [] });
+      }
+      const state = this.emitterStates.get(model.id);
+      state.time += dt;
+      state.alive = state.alive.filter((spawned) => {
+        if (spawned.plugin.expires !== undefined && state.time >= spawned.plugin.expires) this.removeRuntimeBody(spawned);
+        return this.runtimeBodies.has(spawned);
+      });
+      state.carry += model.emitter.rate * dt;
+      while (state.carry >= 1) {
+        state.carry -= 1;
+        if (state.alive.length < model.emitter.maxAlive) state.alive.push(this.emitFrom(model.emitter, body, state));
+      }
+    });
+  }
+
+  emitFrom(emitter, body, state) {
+    const { template } = emitter;
+    state.seed = (Math.imul(state.seed, 1664525) + 1013904223) >>> 0;
+    const jitter = (state.seed / 4294967296 - 0.5) * emitter.spread;
+    const direction = body.angle + ((emitter.angle + jitter) * Math.PI) / 180;
+    const unit = { x: Math.cos(direction), y: Math.sin(direction) };
+    const reach = Math.max(body.bounds.max.x - body.bounds.min.x, body.bounds.max.y - body.bounds.min.y) / 2 + template.size + 2;
+    const shape =
+      template.shape === 'rectangle'
+        ? { type: 'rectangle', width: template.size * 2, height: template.size * 2 }
+        : { type: template.shape, sides: 5, radius: template.size };
+    const spawned = this.spawnRuntimeBody(
+      { shape, physics: template.physics, visual: template.visual },
+      Vector.add(body.position, Vector.mult(unit, reach))
+    );
+    Body.setVelocity(spawned, Vector.mult(unit, emitter.speed));
+    if (emitter.lifetime > 0) spawned.plugin.expires = state.time + emitter.lifetime;
+    return spawned;
+  }
+
+  spawnRuntimeBody(preset, position) {
+    const visual = { ...DEFAULT_VISUAL, ...VISUAL_PRESETS[preset.visual] };
+    const body = this.buildShape(preset.shape, position, {
+      ...PHYSICS_PRESETS[preset.physics],
+      render: this.renderOptionsFor(visual)
+    });
+    body.plugin = { runtime: true, visual };
+    World.add(this.engine.world, body);
+    this.runtimeBodies.add(body);
+    return body;
+  }
+
+  removeRuntimeBody(body) {
+    if (!this.engine.world.bodies.includes(body)) return;
+    World.remove(this.engine.world, body);
+    if (body.plugin?.runtime) {
+      this.runtimeBodies.delete(body);
+      return;
+    }
+    const id = body.plugin?.modelId;
+    if (!id || this.bodyMap.get(id) !== body) return;
+    this.bodyMap.delete(id);
+    const ids = this.memberIds(id);
+    this.links.forEach((link) => {
+      if (!ids.includes(link.a) && !ids.includes(link.b)) return;
+      const composite = this.linkMap.get(link.id);
+      if (composite) World.remove(this.engine.world, composite);
+      this.linkMap.delete(link.id);
+    });
+  }
+
+  resetRuntimeState() {
+    this.runtimeBodies.forEach((body) => World.remove(this.engine.world, body));
+    this.runtimeBodies.clear();
+    this.ruleContacts.clear();
+    this.ruleQueue = [];
+    this.ruleCounts.clear();
+    this.emitterStates.clear();
+  }
+
+  toLocalOffset(body, point) {
+    const offset = Vector.rotate(Vector.sub(point, body.position), -body.angle);
+    return { x: offset.x, y: offset.y };
+  }
+
+  createLink(from, to, kind = 'spring') {
+    const bodyA = this.bodyMap.get(from.id);
+    const bodyB = to.id ? this.bodyMap.get(to.id) : null;
+    if (!bodyA || (to.id && !bodyB)) return;
+    const preset = LINK_KINDS[kind] || LINK_KINDS.spring;
+    const target = kind === 'pin' ? from.point : to.point;
+    const span = Math.hypot(target.x - from.point.x, target.y - from.point.y);
+    const length = kind === 'spring' ? Math.min(220, span) : span;
+    const id = `link-${this.nextLinkId++}`;
+    const link = {
+      id,
+      kind,
+      a: from.id,
+      b: to.id,
+      pointA: this.toLocalOffset(bodyA, from.point),
+      pointB: bodyB ? this.toLocalOffset(bodyB, target) : { ...target },
+      options: { ...preset.options, length },
+      render: { ...DEFAULT_LINK_RENDER, ...preset.render }
+    };
+    if (preset.segments) link.segments = preset.segments;
+    this.links.push(link);
+    this.attachLink(link);
+    return link;
+  }
+
+  attachLink(link) {
+    const endA = this.linkEnd(link.a, link.pointA);
+    const endB = link.b ? this.linkEnd(link.b, link.pointB) : null;
+    if (!endA || (link.b && !endB) || (!link.b && !link.pointB)) return;
+    if (endA.body === endB?.body) return;
+    const composite = Composite.create({ label: link.id });
+    const { bodies, constraints } = this.buildLinkParts(link, endA, endB);
+    bodies.forEach((body) => Composite.add(composite, body));
+    constraints.forEach((constraint) => Composite.add(composite, constraint));
+    this.applyLinkRender(composite, link);
+    this.linkMap.set(link.id, composite);
+    World.add(this.engine.world, composite);
+  }
+
+  linkEnd(id, point = { x: 0, y: 0 }) {
+    const body = this.bodyMap.get(id);
+    if (body) return { body, point };
+    const group = this.objects.find((o) => o.shape.type === 'compound' && o.shape.parts.some((p) => p.id === id));
+    const groupBody = group && this.bodyMap.get(group.id);
+    if (!groupBody) return null;
+    const part = group.shape.parts.find((p) => p.id === id);
+    return { body: groupBody, point: Vector.add(part.offset, Vector.rotate(point, part.angle || 0)) };
+  }
+
+  buildLinkParts(link, endA, endB) {
+    const kind = LINK_KINDS[link.kind] ? link.kind : 'spring';
+    const { stiffness, damping, length } = { ...LINK_KINDS[kind].options, ...link.options };
+    const bodyA = endA.body;
+    const bodyB = endB?.body;
+    const pointA = Vector.rotate(endA.point, bodyA.angle);
+    const pointB = bodyB ? Vector.rotate(endB.point, bodyB.angle) : { ...link.pointB };
+    const worldA = Vector.add(bodyA.position, pointA);
+    const worldB = bodyB ? Vector.add(bodyB.position, pointB) : pointB;
+    const span = Vector.magnitude(Vector.sub(worldB, worldA));
+    const joint = (pa, pb, extra = {}) =>
+      Constraint.create({ bodyA, pointA: pa, bodyB: bodyB || undefined, pointB: pb, stiffness, damping, ...extra });
+
+    if (kind === 'pin') {
+      return { bodies: [], constraints: [joint(pointA, pointB, { length: 0 })] };
+    }
+    if (kind === 'rope') {
+      const rope = joint(pointA, pointB, { length });
+      tensionRope(rope, span, { stiffness, damping, length });
+      return { bodies: [], constraints: [rope] };
+    }
+    if (kind === 'weld') {
+      const direction = span > 1 ? Vector.div(Vector.sub(worldB, worldA), span) : { x: 1, y: 0 };
+      const offset = Vector.mult(Vector.perp(direction), WELD_SPAN);
+      const diagonal = Vector.magnitude(Vector.sub(Vector.add(worldB, offset), worldA));
+      const bracing = { plugin: { bracing: true } };
+      return {
+        bodies: [],
+        constraints: [
+          joint(pointA, pointB, { length: span }),
+          joint(Vector.add(pointA, offset), Vector.add(pointB, offset), { length: span, ...bracing }),
+          joint(pointA, Vector.add(pointB, offset), { length: diagonal, ...bracing })
+        ]
+      };
+    }
+    if (kind === 'chain') {
+      return this.buildChain(link, { bodyA, bodyB, pointA, pointB, worldA, worldB, span, stiffness, damping, length });
+    }
+    return { bodies: [], constraints: [joint(pointA, pointB, { length })] };
+  }
+
+  buildChain(link, { bodyA, bodyB, pointA, pointB, worldA, worldB, span, stiffness, damping, length }) {
+    const count = Math.max(2, Math.round(link.segments || LINK_KINDS.chain.segments));
+    const segmentLength = Math.max(length, 20) / count;
+    const direction = span > 1 ? Vector.div(Vector.sub(worldB, worldA), span) : { x: 1, y: 0 };
+    const angle = Math.atan2(direction.y, direction.x);
+    const spacing = span / count;
+    const group = Body.nextGroup(true);
+    const half = Vector.rotate({ x: segmentLength / 2, y: 0 }, angle);
+    const bodies = [];
+    for (let i = 0; i < count; i++) {
+      const center = Vector.add(worldA, Vector.mult(direction, spacing * (i + 0.5)));
+      const segment = Bodies.rectangle(center.x, center.y, segmentLength, CHAIN_THICKNESS, {
+        angle,
+        chamfer: { radius: CHAIN_THICKNESS / 2 },
+        collisionFilter: { group },
+        frictionAir: 0.02
+      });
+      segment.plugin = { linkId: link.id };
+      bodies.push(segment);
+    }
+    const hinge = (a, pa, b, pb) => Constraint.create({ bodyA: a, pointA: pa, bodyB: b, pointB: pb, length: 0, stiffness, damping });
+    const constraints = [hinge(bodyA, pointA, bodies[0], Vector.neg(half))];
+    for (let i = 1; i < count; i++) {
+      constraints.push(hinge(bodies[i - 1], half, bodies[i], Vector.neg(half)));
+    }
+    constraints.push(hinge(bodies[count - 1], half, bodyB || undefined, pointB));
+    return { bodies, constraints };
+  }
+
+  reattachLink(link) {
+    const existing = this.linkMap.get(link.id);
+    if (existing) World.remove(this.engine.world, existing);
+    this.linkMap.delete(link.id);
+    this.attachLink(link);
+  }
+
+  updateRopes() {
+    this.links.forEach((link) => {
+      if (link.kind !== 'rope') return;
+      const constraint = this.linkMap.get(link.id)?.constraints[0];
+      if (!constraint) return;
+      const [a, b] = constraintEnds(constraint);
+      tensionRope(constraint, Vector.magnitude(Vector.sub(b, a)), { ...LINK_KINDS.rope.options, ...link.options });
+    });
+  }
+
+  linkRenderOptionsFor(link, selected = false) {
+    const render = { ...DEFAULT_LINK_RENDER, ...link.render };
+    return {
+      visible: render.visible || selected,
+      strokeStyle: selected ? '#6366f1' : render.color,
+      lineWidth: selected ? render.width + 2 : render.width,
+      type: render.type,
+      anchors: true
+    };
+  }
+
+  applyLinkRender(composite, link, selected = false) {
+    const options = this.linkRenderOptionsFor(link, selected);
+    composite.constraints.forEach((constraint) => {
+      constraint.render = constraint.plugin?.bracing ? { ...options, visible: false } : { ...options };
+    });
+    composite.bodies.forEach((segment) => {
+      segment.render = {
+        ...segment.render,
+        visible: options.visible,
+        fillStyle: link.render?.color || DEFAULT_LINK_RENDER.color,
+        strokeStyle: options.strokeStyle,
+        lineWidth: selected ? 2 : 0
+      };
+    });
+  }
+
+  memberIds(modelId) {
+    const model = this.objects.find((o) => o.id === modelId);
+    const parts = model?.shape.type === 'compound' ? model.shape.parts.map((p) => p.id) : [];
+    return [modelId, ...parts];
+  }
+
+  refreshLinksFor(modelId) {
+    const ids = this.memberIds(modelId);
+    this.links.forEach((link) => {
+      if (ids.includes(link.a) || ids.includes(link.b)) this.reattachLink(link);
+    });
+  }
+
+  removeLinksFor(modelId) {
+    const ids = this.memberIds(modelId);
+    const remaining = [];
+    this.links.forEach((link) => {
+      if (ids.includes(link.a) || ids.includes(link.b)) {
+        const existing = this.linkMap.get(link.id);
+        if (existing) World.remove(this.engine.world, existing);
+        this.linkMap.delete(link.id);
+      } else {
+        remaining.push(link);
+      }
+    });
+    this.links = remaining;
+  }
+
+  rebuildBody(model) {
+    const existing = this.bodyMap.get(model.id);
+    if (!existing) return;
+    const state = {
+      position: { ...existing.position },
+      velocity: { ...existing.velocity },
+      angularVelocity: existing.angularVelocity,
+      angle: existing.angle
+    };
+    World.remove(this.engine.world, existing);
+    const body = this.buildBody(model);
+    Body.setPosition(body, state.position);
+    Body.setVelocity(body, state.velocity);
+    Body.setAngularVelocity(body, state.angularVelocity);
+    Body.setAngle(body, state.angle);
+    World.add(this.engine.world, body);
+    this.bodyMap.set(model.id, body);
+    this.refreshLinksFor(model.id);
+  }
+
+  removeObject(id) {
+    this.removeLinksFor(id);
+    this.removeModelFromWorld(id);
+  }
+
+  replaceModel(model, placed = false) {
+    const index = this.objects.findIndex((o) => o.id === model.id);
+    if (index < 0) return;
+    this.objects[index] = model;
+    this.rebuildBody(model);
+    const body = this.bodyMap.get(model.id);
+    if (!body || !placed) return;
+    Body.setPosition(body, model.position);
+    Body.setAngle(body, model.angle || 0);
+    this.refreshLinksFor(model.id);
+  }
+
+  removeLink(id) {
+    const existing = this.linkMap.get(id);
+    if (existing) World.remove(this.engine.world, existing);
+    this.linkMap.delete(id);
+    this.links = this.links.filter((l) => l.id !== id);
+  }
+
+  replaceLink(link) {
+    const index = this.links.findIndex((l) => l.id === link.id);
+    if (index < 0) return;
+    this.links[index] = link;
+    this.reattachLink(link);
+  }
+
+  sceneFragment(ids) {
+    const members = new Set(ids.flatMap((id) => this.memberIds(id)));
+    return structuredClone({
+      version: SCENE_VERSION,
+      objects: this.objects.filter((o) => ids.includes(o.id)),
+      links: this.links.filter((l) => members.has(l.a) && (!l.b || members.has(l.b)))
+    });
+  }
+
+  insertFragment(fragment, offset = { x: 0, y: 0 }) {
+    const { objects, links = [] } = prepareScene(fragment);
+    const ids = new Map();
+    objects.forEach((model) => {
+      ids.set(model.id, `obj-${this.nextId++}`);
+      if (model.shape.type === 'compound') model.shape.parts.forEach((part) => ids.set(part.id, `obj-${this.nextId++}`));
+    });
+    const added = objects.map((source) => {
+      const model = structuredClone(source);
+      model.id = ids.get(source.id);
+      if (model.shape.type === 'compound') {
+        model.shape.parts.forEach((part) => {
+          part.id = ids.get(part.id);
+        });
+      }
+      (model.rules || []).forEach((rule) => {
+        if (ids.has(rule.with)) rule.with = ids.get(rule.with);
+      });
+      model.position = Vector.add(model.position, offset);
+      this.addModelToWorld(model);
+      return model.id;
+    });
+    links.forEach((source) => {
+      const link = { ...structuredClone(source), id: `link-${this.nextLinkId++}`, a: ids.get(source.a), b: source.b && ids.get(source.b) };
+      if (!link.b) link.pointB = Vector.add(link.pointB, offset);
+      this.links.push(link);
+      this.attachLink(link);
+    });
+    return added;
+  }
+
+  removeModelFromWorld(id) {
+    const body = this.bodyMap.get(id);
+    if (body) World.remove(this.engine.world, body);
+    this.bodyMap.delete(id);
+    this.objects = this.objects.filter((o) => o.id !== id);
+  }
+
+  sceneState() {
+    return {
+      ...this.sceneExtras,
+      version: SCENE_VERSION,
+      objects: this.objects,
+      links: this.links,
+      world: this.worldSettings,
+      nextId: this.nextId,
+      nextLinkId: this.nextLinkId
+    };
+  }
+
+  sceneSnapshot() {
+    return JSON.parse(JSON.stringify(this.sceneState()));
+  }
+
+  runtimeSnapshot() {
+    const bodies = [];
+    this.objects.forEach((model) => {
+      const body = this.bodyMap.get(model.id);
+      if (!body) return;
+      bodies.push({
+        id: model.id,
+        position: { x: body.position.x, y: body.position.y },
+        angle: body.angle,
+        velocity: { x: body.velocity.x, y: body.velocity.y },
+        angularVelocity: body.angularVelocity
+      });
+    });
+    return { bodies };
+  }
+
+  applyRuntime(runtime) {
+    (runtime.bodies || []).forEach((state) => {
+      const body = this.bodyMap.get(state.id);
+      if (!body) return;
+      Body.setPosition(body, state.position);
+      Body.setAngle(body, state.angle || 0);
+      Body.setVelocity(body, state.velocity || { x: 0, y: 0 });
+      Body.setAngularVelocity(body, state.angularVelocity || 0);
+    });
+  }
+
+  commitHistory(label = 'Edit', coalesce = null) {
+    const atTip = this.historyIndex === this.history.length - 1;
+    const merge = Boolean(coalesce) && coalesce === this.coalescing && atTip && this.historyIndex > 0;
+    const base = this.history[merge ? this.historyIndex - 1 : this.historyIndex];
+    const { packed, size } = packScene(this.sceneState(), base?.scene);
+    const entry = { label, time: Date.now(), scene: packed, size };
+    this.history = this.history.slice(0, merge ? this.historyIndex : this.historyIndex + 1);
+    this.history.push(entry);
+    this.historyIndex = this.history.length - 1;
+    this.coalescing = coalesce;
+    this.trimHistory();
+    this.emit('history', { index: this.historyIndex, size: this.history.length, label });
+  }
+
+  trimHistory() {
+    let total = this.history.reduce((sum, entry) => sum + entry.size, 0);
+    while (this.history.length > 1 && this.historyIndex > 0 && (this.history.length > HISTORY_LIMIT || total > HISTORY_BUDGET)) {
+      total -= this.history.shift().size;
+      this.historyIndex -= 1;
+      this.historyDropped += 1;
+      const [oldest] = this.history;
+      total += packedSize(oldest.scene) - oldest.size;
+      oldest.size = packedSize(oldest.scene);
+    }
+  }
+
+  endCoalescing() {
+    this.coalescing = null;
+  }
+
+  historyScene(index = this.historyIndex) {
+    const entry = this.history[index];
+    return entry ? unpackScene(entry.scene) : null;
+  }
+
+  historyEntries() {
+    return this.history.map(({ label, time }, index) => ({ index, label, time, current: index === this.historyIndex }));
+  }
+
+  applySnapshot(snapshot) {
+    this.sceneExtras = Object.fromEntries(Object.entries(snapshot).filter(([key]) => !SCENE_KEYS.includes(key)));
+    this.objects = JSON.parse(JSON.stringify(snapshot.objects));
+    this.links = JSON.parse(JSON.stringify(snapshot.links || []));
+    this.nextId = snapshot.nextId;
+    this.nextLinkId = snapshot.nextLinkId || this.inferNextLinkId(this.links);
+    this.setWorldSettings(snapshot.world);
+    this.rebuildWorld();
+  }
+
+  rebuildWorld() {
+    this.resetRuntimeState();
+    this.bodyMap.forEach((body) => World.remove(this.engine.world, body));
+    this.linkMap.forEach((link) => World.remove(this.engine.world, link));
+    this.bodyMap.clear();
+    this.linkMap.clear();
+    this.objects.forEach((model) => {
+      const body = this.buildBody(model);
+      World.add(this.engine.world, body);
+      this.bodyMap.set(model.id, body);
+    });
+    this.links.forEach((link) => this.attachLink(link));
+  }
+
+  undo() {
+    this.goToHistory(this.historyIndex - 1);
+  }
+
+  redo() {
+    this.goToHistory(this.historyIndex + 1);
+  }
+
+  goToHistory(index) {
+    if (index < 0 || index >= this.history.length || index === this.historyIndex) return;
+    this.historyIndex = index;
+    this.coalescing = null;
+    this.applySnapshot(this.historyScene(index));
+    this.emit('history', { index, size: this.history.length, label: this.history[index].label });
+  }
+
+  inferNextId(objs) {
+    const ids = objs
+      .flatMap((o) => [o, ...(o.shape?.type === 'compound' ? o.shape.parts : [])])
+      .map((o) => parseInt((o.id || '').split('-')[1], 10))
+      .filter((n) => !Number.isNaN(n));
+    return Math.max(-1, ...ids) + 1 || 1;
+  }
+
+  inferNextLinkId(links = []) {
+    const ids = links
+      .map((l) => parseInt((l.id || '').split('-')[1], 10))
+      .filter((n) => !Number.isNaN(n));
+    return Math.max(-1, ...ids) + 1 || 1;
+  }
+
+  loadScene(json) {
+    const { runtime, ...scene } = prepareScene(typeof json === 'string' ? JSON.parse(json) : json);
+    const previous = this.sceneSnapshot();
+    try {
+      this.applySnapshot({
+        ...scene,
+        links: scene.links || [],
+        nextId: scene.nextId || this.inferNextId(scene.objects),
+        nextLinkId: scene.nextLinkId || this.inferNextLinkId(scene.links)
+      });
+    } catch (err) {
+      this.applySnapshot(previous);
+      throw new Error(`Couldn't build the scene: ${err.message}`);
+    }
+    this.commitHistory('Load scene');
+    if (runtime) this.applyRuntime(runtime);
+    return this;
+  }
+
+  saveScene({ runtime = false } = {}) {
+    const scene = this.sceneSnapshot();
+    if (runtime) scene.runtime = this.runtimeSnapshot();
+    return scene;
+  }
+
+  step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      Engine.update(this.engine, this.worldSettings.delta);
+    }
+    return this.getState();
+  }
+
+  on(type, handler) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    this.listeners.get(type)?.delete(handler);
+  }
+
+  emit(type, detail) {
+    this.listeners.get(type)?.forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (err) {
+        if (type !== 'error' && this.listeners.get('error')?.size) this.emit('error', { type, error: err });
+        else console.error(err);
+      }
+    });
+  }
+
+  emitCollisions(pairs) {
+    if (!this.listeners.get('collision')?.size) return;
+    pairs.forEach(({ bodyA, bodyB }) => {
+      const a = bodyA.parent;
+      const b = bodyB.parent;
+      this.emit('collision', { a: a.plugin?.modelId || null, b: b.plugin?.modelId || null, bodyA: a, bodyB: b });
+    });
+  }
+
+  getState() {
+    return {
+      time: this.engine.timing.timestamp,
+      bodies: this.runtimeSnapshot().bodies,
+      spawned: this.runtimeBodies.size,
+      counters: Object.fromEntries(this.ruleCounts)
+    };
+  }
+}
@@ -3,7 +3,6 @@ import {
   Render,
   Runner,
   World,
-  Bodies,
   Body,
   Composite,
   Mouse,
@@ -11,55 +10,552 @@ import {
   Events,
   Bounds,
   Vertices,
-  Constraint
-} from 'https://cdn.skypack.dev/matter-js';
-
-const PHYSICS_PRESETS = {
-  Rubber: { restitution: 0.9, friction: 0.05, frictionAir: 0.005, density: 0.001, frictionStatic: 0.2 },
-  Ice: { restitution: 0.3, friction: 0.01, frictionAir: 0.001, density: 0.001, frictionStatic: 0.05 },
-  Wood: { restitution: 0.2, friction: 0.2, frictionAir: 0.01, density: 0.0012, frictionStatic: 0.5 },
-  Metal: { restitution: 0.05, friction: 0.3, frictionAir: 0.002, density: 0.003, frictionStatic: 0.9 },
-  Balloon: { restitution: 0.8, friction: 0.01, frictionAir: 0.06, density: 0.0006, frictionStatic: 0.05 }
-};
+  Vector,
+  Sleeping,
+  Pairs
+} from 'matter-js';
+import decomp from 'poly-decomp';
+import {
+  SceneCore,
+  PHYSICS_PRESETS,
+  VISUAL_PRESETS,
+  DEFAULT_VISUAL,
+  DEFAULT_LINK_RENDER,
+  RULE_TRIGGERS,
+  RULE_ACTIONS,
+  SPAWN_PRESETS,
+  FIELD_KINDS,
+  LINK_KINDS,
+  DEFAULT_WORLD,
+  MAX_LAYERS,
+  ALL_LAYERS,
+  prepareScene,
+  constraintEnds,
+  validatePhysics,
+  validateVisual
+} from './core.js';
+import { PlaygroundAPI } from './api.js';
 
-const VISUAL_PRESETS = {
-  Neon: { fill: '#0ea5e9', stroke: '#67e8f9', strokeWidth: 3, opacity: 1, renderMode: 'solid' },
-  Wireframe: { fill: '#0f172a', stroke: '#f3f4f6', strokeWidth: 2, opacity: 1, renderMode: 'outline' },
-  Paper: { fill: '#fef3c7', stroke: '#78350f', strokeWidth: 2, opacity: 0.95, renderMode: 'solid' },
-  Glass: { fill: '#7dd3fc', stroke: '#e0f2fe', strokeWidth: 2, opacity: 0.35, renderMode: 'gradient' }
-};
+const TIMELINE_CAPACITY = 900;
+const PLAYBACK_SPEEDS = [1, 0.5, 0.25, 0.1];
+
+const RULE_SUBJECTS = { self: 'me', other: 'other' };
 
-const DEFAULT_PHYSICS = {
-  restitution: 0.2,
-  friction: 0.1,
-  frictionAir: 0.01,
-  frictionStatic: 0.5,
-  density: 0.001
+const DEFAULT_EMITTER = {
+  template: { shape: 'circle', size: 10, physics: 'Rubber', visual: 'Neon' },
+  rate: 4,
+  speed: 8,
+  angle: 270,
+  spread: 20,
+  maxAlive: 60,
+  lifetime: 0
 };
 
-const DEFAULT_VISUAL = {
-  fill: '#4f46e5',
-  stroke: '#111827',
-  strokeWidth: 2,
-  opacity: 1,
-  renderMode: 'solid'
+const DEFAULT_FIELD = { strength: 1.5, angle: 0, falloff: 'linear', radius: 200 };
+const FIELD_ARROW_SPACING = 60;
+
+const DEFAULT_MOTOR = { mode: 'off', speed: 90, torque: 2, axis: 0, stroke: 120 };
+const LIBRARY_DB = 'matter-playground';
+const AUTOSAVE_DELAY = 400;
+const THUMBNAIL_SIZE = { width: 240, height: 150 };
+const PRESET_PACK_VERSION = 1;
+const PRESET_KINDS = {
+  physics: { label: 'Behavior', row: 'behaviorPresets', builtIn: PHYSICS_PRESETS, validate: validatePhysics },
+  visual: { label: 'Appearance', row: 'visualPresets', builtIn: VISUAL_PRESETS, validate: validateVisual }
 };
 
+const SHARE_HASH_PREFIX = '#scene=';
+const SHARE_URL_LIMIT = 8000;
+
+const RECORDING_VERSION = 1;
+const RECORDED_CALLS = [
+  'addModelToWorld',
+  'updatePhysics',
+  'updateVisual',
+  'updateSelection',
+  'changeShape',
+  'changePolygonSides',
+  'toggleLock',
+  'addRule',
+  'updateRule',
+  'removeRule',
+  'toggleEmitter',
+  'updateEmitter',
+  'setFieldKind',
+  'updateField',
+  'updateTag',
+  'updateMotor',
+  'updateTransform',
+  'propagatePreset',
+  'updateCollision',
+  'removeLayer',
+  'insertFragment',
+  'replaceModel',
+  'removeObject',
+  'duplicateSelection',
+  'deleteSelection',
+  'groupSelection',
+  'ungroupSelection',
+  'createLink',
+  'replaceLink',
+  'updateLink',
+  'changeLinkKind',
+  'deleteLink',
+  'updateWorld',
+  'setPlaybackSpeed',
+  'resetWorld',
+  'applySnapshot'
+];
+
+const LINK_HIT_RADIUS = 8;
+const ANCHOR_SNAP = 10;
 const TOOL_HINTS = {
-  select: 'Click a shape to select. Drag with physics. Shift-click to multi-select.',
+  select: 'Click a shape to select. Drag to arrange, or with physics while simulating. Shift-click to multi-select.',
   circle: 'Click to drop a circle, or drag to size it.',
   rectangle: 'Click to add, drag to define width & height.',
   polygon: 'Drag to size polygon. Adjust sides in inspector.',
+  custom: 'Drag to sketch freehand, or click points and close on the first one. Enter finishes, Esc cancels.',
   wall: 'Drag to place a static wall that holds the play area.',
   sensor: 'Drag to add a ghost sensor (no collisions).',
-  constraint: 'Tap two bodies to link them with a soft constraint.'
+  field: 'Drag to draw a force field. Tune strength, direction and falloff in the inspector.',
+  emitter: 'Click to place an emitter. Tune its rate, spread and template in the inspector.',
+  constraint: 'Tap a body, then another body or empty space to pin it to the world. Select a link to tune it.'
+};
+
+const DRAW_TOOLS = ['circle', 'rectangle', 'polygon', 'wall', 'sensor', 'emitter', 'field'];
+
+const GRAVITY_PRESETS = {
+  Down: { angle: 90, strength: 1 },
+  'Zero-G': { angle: 90, strength: 0 },
+  Left: { angle: 180, strength: 1 },
+  Right: { angle: 0, strength: 1 },
+  Up: { angle: 270, strength: 1 }
+};
+const ZOOM_LIMITS = { min: 0.1, max: 4 };
+const FIT_PADDING = 60;
+
+const PATH_CLOSE_RADIUS = 10;
+const FREEHAND_THRESHOLD = 6;
+const FREEHAND_TOLERANCE = 4;
+const MIN_CUSTOM_AREA = 200;
+const GRID_SPACING = 32;
+const ANGLE_SNAP = 15;
+const GUIDE_SNAP = 6;
+const GIZMO_HANDLE = 10;
+const GIZMO_ROTATE_OFFSET = 28;
+const GIZMO_MIN_SCALE = 0.05;
+const GIZMO_OPPOSITE = { nw: 'se', n: 's', ne: 'sw', e: 'w', se: 'nw', s: 'n', sw: 'ne', w: 'e' };
+const GIZMO_CURSORS = {
+  nw: 'nwse-resize',
+  se: 'nwse-resize',
+  ne: 'nesw-resize',
+  sw: 'nesw-resize',
+  n: 'ns-resize',
+  s: 'ns-resize',
+  e: 'ew-resize',
+  w: 'ew-resize',
+  rotate: 'grab'
+};
+
+function simplifyPath(points, tolerance) {
+  if (points.length < 3 || tolerance <= 0) return points.slice();
+  const first = points[0];
+  const last = points[points.length - 1];
+  let index = 0;
+  let maxDistance = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], first, last);
+    if (distance > maxDistance) {
+      index = i;
+      maxDistance = distance;
+    }
+  }
+  if (maxDistance <= tolerance) return [first, last];
+  const head = simplifyPath(points.slice(0, index + 1), tolerance);
+  const tail = simplifyPath(points.slice(index), tolerance);
+  return [...head.slice(0, -1), ...tail];
+}
+
+const AsyncFunction = (async () => {}).constructor;
+
+function formatLogValue(value) {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value, null, 2) ?? String(value);
+  } catch (err) {
+    return String(value);
+  }
+}
+
+function isTyping(event) {
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target?.tagName);
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function compressText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+async function decompressText(encoded) {
+  const stream = new Blob([fromBase64Url(encoded)]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+function compactJSON(data) {
+  return JSON.stringify(data, (key, value) => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : value));
+}
+
+function downloadJSON(filename, data) {
+  downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function svgNumber(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function svgPoints(points) {
+  return points.map((p) => `${svgNumber(p.x)},${svgNumber(p.y)}`).join(' ');
+}
+
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function svgAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([name, value]) => `${name}="${escapeXML(typeof value === 'number' ? svgNumber(value) : value)}"`)
+    .join(' ');
+}
+
+function centredOutline(outline) {
+  const centre = Vertices.centre(outline);
+  const vertices = outline.map((p) => ({
+    x: Math.round((p.x - centre.x) * 100) / 100,
+    y: Math.round((p.y - centre.y) * 100) / 100
+  }));
+  return { centre, vertices };
+}
+
+function svgTransform(element) {
+  let matrix = new DOMMatrix();
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    const local = node.transform?.baseVal.consolidate();
+    if (local) matrix = DOMMatrix.fromMatrix(local.matrix).multiply(matrix);
+  }
+  return matrix;
+}
+
+function svgPathOutlines(d) {
+  if (/[^MmLlHhVvZz0-9eE.,+\-\s]/.test(d)) return null;
+  const tokens = d.match(/[MmLlHhVvZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  const outlines = [];
+  let outline = [];
+  let command = 'M';
+  let cursor = { x: 0, y: 0 };
+  let start = cursor;
+  const number = () => parseFloat(tokens.shift());
+  while (tokens.length) {
+    if (/[a-z]/i.test(tokens[0])) command = tokens.shift();
+    const relative = command === command.toLowerCase();
+    const base = relative ? cursor : { x: 0, y: 0 };
+    const type = command.toUpperCase();
+    if (type === 'Z') {
+      if (outline.length) outlines.push(outline);
+      outline = [];
+      cursor = start;
+      continue;
+    }
+    if (!tokens.length || /[a-z]/i.test(tokens[0])) return null;
+    if (type === 'H') cursor = { x: base.x + number(), y: cursor.y };
+    else if (type === 'V') cursor = { x: cursor.x, y: base.y + number() };
+    else cursor = { x: base.x + number(), y: base.y + number() };
+    if (Number.isNaN(cursor.x) || Number.isNaN(cursor.y)) return null;
+    if (type === 'M') {
+      if (outline.length) outlines.push(outline);
+      outline = [];
+      start = cursor;
+      command = relative ? 'l' : 'L';
+    }
+    outline.push(cursor);
+  }
+  if (outline.length) outlines.push(outline);
+  return outlines;
+}
+
+function boundsOf(bodies) {
+  return {
+    min: { x: Math.min(...bodies.map((b) => b.bounds.min.x)), y: Math.min(...bodies.map((b) => b.bounds.min.y)) },
+    max: { x: Math.max(...bodies.map((b) => b.bounds.max.x)), y: Math.max(...bodies.map((b) => b.bounds.max.y)) }
+  };
+}
+
+function resizedShape(shape, { width, height, radius }) {
+  if (radius !== undefined && (shape.type === 'circle' || shape.type === 'polygon')) {
+    return { ...shape, radius: Math.max(1, radius) };
+  }
+  if (width === undefined && height === undefined) return shape;
+  if (shape.type === 'rectangle') {
+    return { ...shape, width: Math.max(1, width ?? shape.width), height: Math.max(1, height ?? shape.height) };
+  }
+  if (shape.type === 'vertices') {
+    const xs = shape.vertices.map((v) => v.x);
+    const ys = shape.vertices.map((v) => v.y);
+    const scaleX = width === undefined ? 1 : Math.max(1, width) / (Math.max(...xs) - Math.min(...xs));
+    const scaleY = height === undefined ? 1 : Math.max(1, height) / (Math.max(...ys) - Math.min(...ys));
+    return { ...shape, vertices: shape.vertices.map((v) => ({ x: roundTo(v.x * scaleX, 2), y: roundTo(v.y * scaleY, 2) })) };
+  }
+  return shape;
+}
+
+function scaleLocal(point, angle, sx, sy) {
+  const world = Vector.rotate(point, angle);
+  return Vector.rotate({ x: world.x * sx, y: world.y * sy }, -angle);
+}
+
+function scaledShape(shape, angle, sx, sy) {
+  if (shape.type === 'circle' || shape.type === 'polygon') {
+    const factor = sx === 1 ? sy : sy === 1 ? sx : Math.sqrt(sx * sy);
+    return { ...shape, radius: Math.max(1, roundTo(shape.radius * factor, 2)) };
+  }
+  if (shape.type === 'rectangle') {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+      ...shape,
+      width: Math.max(1, roundTo(shape.width * Math.hypot(cos * sx, sin * sy), 2)),
+      height: Math.max(1, roundTo(shape.height * Math.hypot(sin * sx, cos * sy), 2))
+    };
+  }
+  if (shape.type === 'vertices') {
+    return {
+      ...shape,
+      vertices: shape.vertices.map((v) => {
+        const scaled = scaleLocal(v, angle, sx, sy);
+        return { x: roundTo(scaled.x, 2), y: roundTo(scaled.y, 2) };
+      })
+    };
+  }
+  if (shape.type === 'compound') {
+    return {
+      ...shape,
+      parts: shape.parts.map((part) => ({
+        ...part,
+        offset: scaleLocal(part.offset, angle, sx, sy),
+        shape: scaledShape(part.shape, angle + (part.angle || 0), sx, sy)
+      }))
+    };
+  }
+  return shape;
+}
+
+function gizmoHandles({ min, max }, zoom) {
+  const cx = (min.x + max.x) / 2;
+  const cy = (min.y + max.y) / 2;
+  return {
+    nw: { x: min.x, y: min.y },
+    n: { x: cx, y: min.y },
+    ne: { x: max.x, y: min.y },
+    e: { x: max.x, y: cy },
+    se: { x: max.x, y: max.y },
+    s: { x: cx, y: max.y },
+    sw: { x: min.x, y: max.y },
+    w: { x: min.x, y: cy },
+    rotate: { x: cx, y: min.y - GIZMO_ROTATE_OFFSET / zoom }
+  };
+}
+
+const PROPERTY_LABELS = {
+  restitution: 'bounciness',
+  friction: 'slipperiness',
+  frictionAir: 'air drag',
+  density: 'weight',
+  frictionStatic: 'static friction',
+  fill: 'fill',
+  stroke: 'stroke',
+  strokeWidth: 'stroke width',
+  opacity: 'opacity',
+  renderMode: 'render mode',
+  bodyType: 'body type',
+  gravity: 'gravity',
+  timeScale: 'time scale',
+  positionIterations: 'position iterations',
+  velocityIterations: 'velocity iterations',
+  constraintIterations: 'constraint iterations',
+  delta: 'step rate',
+  sleeping: 'sleeping',
+  width: 'world size',
+  height: 'world size',
+  layers: 'collision layers',
+  layer: 'collision layer',
+  group: 'no-collide group'
 };
 
-const DRAW_TOOLS = ['circle', 'rectangle', 'polygon', 'wall', 'sensor'];
+function describePatch(patch, fallback) {
+  const names = [...new Set(Object.keys(patch).map((key) => PROPERTY_LABELS[key]))];
+  return names.length === 1 && names[0] ? names[0] : fallback;
+}
+
+function relativeTime(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 5) return 'just now';
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`;
+  return `${Math.round(seconds / 3600)}h ago`;
+}
+
+function tagPreset(model, kind, preset) {
+  const tags = { ...model.preset };
+  if (preset) tags[kind] = preset;
+  else delete tags[kind];
+  if (Object.keys(tags).length) model.preset = tags;
+  else delete model.preset;
+}
+
+function snapValue(value, step) {
+  return Math.round(value / step) * step;
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+class FrameBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.frames = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(frame) {
+    if (this.length < this.capacity) {
+      this.frames[(this.start + this.length) % this.capacity] = frame;
+      this.length += 1;
+    } else {
+      this.frames[this.start] = frame;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  at(index) {
+    if (index < 0 || index >= this.length) return null;
+    return this.frames[(this.start + index) % this.capacity];
+  }
+
+  truncate(length) {
+    this.length = Math.max(0, Math.min(this.length, length));
+  }
+
+  clear() {
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+class SceneLibrary {
+  constructor(name) {
+    this.name = name;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 2);
+        request.onupgradeneeded = (event) => {
+          if (event.oldVersion < 1) {
+            request.result.createObjectStore('scenes', { keyPath: 'id' });
+            request.result.createObjectStore('session');
+          }
+          if (event.oldVersion < 2) request.result.createObjectStore('presets', { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async run(store, mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(store, mode).objectStore(store));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  list() {
+    return this.run('scenes', 'readonly', (store) => store.getAll());
+  }
+
+  get(id) {
+    return this.run('scenes', 'readonly', (store) => store.get(id));
+  }
+
+  put(entry) {
+    return this.run('scenes', 'readwrite', (store) => store.put(entry));
+  }
+
+  remove(id) {
+    return this.run('scenes', 'readwrite', (store) => store.delete(id));
+  }
+
+  loadSession() {
+    return this.run('session', 'readonly', (store) => store.get('current'));
+  }
+
+  saveSession(session) {
+    return this.run('session', 'readwrite', (store) => store.put(session, 'current'));
+  }
+
+  listPresets() {
+    return this.run('presets', 'readonly', (store) => store.getAll());
+  }
+
+  putPreset(preset) {
+    return this.run('presets', 'readwrite', (store) => store.put(preset));
+  }
+
+  removePreset(id) {
+    return this.run('presets', 'readwrite', (store) => store.delete(id));
+  }
+}
 
-class Playground {
+class Playground extends SceneCore {
   constructor() {
-    this.engine = Engine.create({ enableSleeping: true });
+    super();
     this.runner = Runner.create();
     this.appShell = document.querySelector('.app-shell');
     this.topBar = document.querySelector('.top-bar');
@@ -72,7 +568,8 @@ class Playground {
         height: this.canvasHeight(),
         wireframes: false,
         background: 'transparent',
-        pixelRatio: window.devicePixelRatio
+        pixelRatio: window.devicePixelRatio,
+        hasBounds: true
       }
     });
 
@@ -89,32 +586,67 @@ class Playground {
     });
     World.add(this.engine.world, this.mouseConstraint);
 
-    this.objects = [];
-    this.links = [];
-    this.bodyMap = new Map();
-    this.linkMap = new Map();
     this.selectedIds = [];
+    this.selectedLinkId = null;
     this.tool = 'select';
     this.isDrawing = false;
     this.constraintAnchor = null;
+    this.linkKind = 'spring';
+    this.fieldKind = 'wind';
     this.dragStart = null;
-    this.history = [];
-    this.historyIndex = -1;
-    this.nextId = 1;
-    this.nextLinkId = 1;
-    this.paused = false;
+    this.layoutDrag = null;
+    this.gizmoDrag = null;
+    this.marquee = null;
+    this.customPath = null;
+    this.snapping = { grid: false, angle: false, guides: true };
+    this.guides = [];
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.panDrag = null;
+    this.spaceHeld = false;
+    this.timeline = new FrameBuffer(TIMELINE_CAPACITY);
+    this.timelineCursor = -1;
+    this.tick = 0;
+    this.recording = null;
+    this.lastRecording = null;
+    this.recordingDepth = 0;
+    this.lastPointer = null;
+    this.replaying = null;
+    this.library = new SceneLibrary(LIBRARY_DB);
+    this.libraryEntryId = null;
+    this.autosaveReady = false;
+    this.autosaveTimer = null;
+    this.sliderDrag = null;
+    this.pendingSession = null;
+    this.readOnly = false;
+    this.selectionKey = JSON.stringify([this.selectedIds, this.selectedLinkId]);
+    this.customPresets = [];
+    this.api = new PlaygroundAPI(this);
+    this.mode = 'edit';
+    this.paused = true;
     this.setSurface('paper');
 
     this.bindUI();
+    this.setWorldSettings(DEFAULT_WORLD);
     this.resize();
-    this.addBounds();
-    this.commitHistory();
+    this.resetCamera();
+    this.commitHistory('New scene');
     this.registerEvents();
+    this.updateModeUI();
+    this.updateRecordingUI();
+
+    Events.on(this.engine, 'beforeUpdate', () => this.capturePointer());
+    Events.on(this.engine, 'afterUpdate', () => {
+      this.recordFrame();
+      this.recordChecksum();
+    });
 
-    Events.on(this.engine, 'afterUpdate', () => this.syncModelTransforms());
+    Events.on(this.render, 'afterRender', () => {
+      if (!this.isDrawing && !this.customPath && !this.constraintAnchor && !this.marquee) this.clearGhost();
+    });
 
     Render.run(this.render);
-    Runner.run(this.runner, this.engine);
+    this.loadPresets();
+    this.offerRestore();
   }
 
   canvasHeight() {
@@ -123,49 +655,248 @@ class Playground {
   }
 
   resize() {
+    const width = window.innerWidth;
     const height = this.canvasHeight();
-    this.render.canvas.width = window.innerWidth;
-    this.render.canvas.height = height;
-    this.ghostCanvas.width = window.innerWidth;
+    Render.setSize(this.render, width, height);
+    this.ghostCanvas.width = width;
     this.ghostCanvas.height = height;
-    Render.lookAt(this.render, {
-      min: { x: 0, y: 0 },
-      max: { x: window.innerWidth, y: height }
-    });
-    this.addBounds();
+    this.applyCamera();
+  }
+
+  applyCamera() {
+    const { x, y, zoom } = this.camera;
+    const { bounds, options } = this.render;
+    bounds.min.x = x;
+    bounds.min.y = y;
+    bounds.max.x = x + options.width / zoom;
+    bounds.max.y = y + options.height / zoom;
+    Mouse.setScale(this.mouse, { x: 1 / zoom, y: 1 / zoom });
+    Mouse.setOffset(this.mouse, bounds.min);
+    const grid = GRID_SPACING * zoom;
+    const offset = this.render.canvas.offsetTop;
+    this.appShell.style.setProperty('--grid-size', `${grid}px`);
+    this.appShell.style.setProperty('--grid-offset', `${-x * zoom % grid}px ${(offset - y * zoom) % grid}px`);
+    document.getElementById('zoomLevel').textContent = `${Math.round(zoom * 100)}%`;
+  }
+
+  screenToWorld(point) {
+    return { x: this.camera.x + point.x / this.camera.zoom, y: this.camera.y + point.y / this.camera.zoom };
   }
 
-  addBounds() {
-    if (this.bounds) {
-      this.bounds.forEach((wall) => World.remove(this.engine.world, wall));
+  pointerPosition(event) {
+    const rect = this.render.canvas.getBoundingClientRect();
+    return this.screenToWorld({ x: event.clientX - rect.left, y: event.clientY - rect.top });
+  }
+
+  zoomAt(screenPoint, zoom) {
+    const next = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, zoom));
+    const anchor = this.screenToWorld(screenPoint);
+    this.camera = { x: anchor.x - screenPoint.x / next, y: anchor.y - screenPoint.y / next, zoom: next };
+    this.applyCamera();
+  }
+
+  zoomBy(factor) {
+    const { width, height } = this.render.options;
+    this.zoomAt({ x: width / 2, y: height / 2 }, this.camera.zoom * factor);
+  }
+
+  zoomToBounds(bounds) {
+    const { width, height } = this.render.options;
+    const spanX = bounds.max.x - bounds.min.x + FIT_PADDING * 2;
+    const spanY = bounds.max.y - bounds.min.y + FIT_PADDING * 2;
+    const zoom = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, Math.min(width / spanX, height / spanY)));
+    const centre = { x: (bounds.min.x + bounds.max.x) / 2, y: (bounds.min.y + bounds.max.y) / 2 };
+    this.camera = { x: centre.x - width / zoom / 2, y: centre.y - height / zoom / 2, zoom };
+    this.applyCamera();
+  }
+
+  zoomToFit() {
+    const bodies = [...this.bodyMap.values()];
+    if (!bodies.length) {
+      this.zoomToBounds({ min: { x: 0, y: 0 }, max: { x: this.worldSettings.width, y: this.worldSettings.height } });
+      return;
     }
-    const w = window.innerWidth;
-    const h = this.canvasHeight();
-    const thickness = 80;
-    this.bounds = [
-      Bodies.rectangle(w / 2, h + thickness / 2, w, thickness, { isStatic: true }),
-      Bodies.rectangle(w / 2, -thickness / 2, w, thickness, { isStatic: true }),
-      Bodies.rectangle(-thickness / 2, h / 2, thickness, h, { isStatic: true }),
-      Bodies.rectangle(w + thickness / 2, h / 2, thickness, h, { isStatic: true })
-    ];
-    World.add(this.engine.world, this.bounds);
+    this.zoomToBounds(boundsOf(bodies));
   }
 
-  registerEvents() {
-    window.addEventListener('resize', () => this.resize());
+  zoomToSelection() {
+    const bodies = this.selectedIds.map((id) => this.bodyMap.get(id)).filter(Boolean);
+    if (!bodies.length) {
+      this.showHint('Select something to zoom to');
+      return;
+    }
+    this.zoomToBounds(boundsOf(bodies));
+  }
+
+  resetCamera() {
+    const { width, height } = this.render.options;
+    this.camera = { x: (this.worldSettings.width - width) / 2, y: this.worldSettings.height - height, zoom: 1 };
+    this.applyCamera();
+  }
+
+  beginPan(event) {
+    event.preventDefault();
+    this.panDrag = { start: { x: event.clientX, y: event.clientY }, camera: { ...this.camera } };
+    this.mouseConstraint.collisionFilter.mask = 0;
+    this.appShell.classList.add('is-panning');
+  }
+
+  movePan(event) {
+    const { start, camera } = this.panDrag;
+    this.camera = {
+      ...camera,
+      x: camera.x - (event.clientX - start.x) / camera.zoom,
+      y: camera.y - (event.clientY - start.y) / camera.zoom
+    };
+    this.applyCamera();
+  }
+
+  endPan() {
+    this.panDrag = null;
+    this.mouseConstraint.collisionFilter.mask = 0xffffffff;
+    this.appShell.classList.remove('is-panning');
+  }
+
+  setWorldSettings(settings = {}) {
+    super.setWorldSettings(settings);
+    this.runner.delta = this.worldSettings.delta;
+    this.syncWorldControls();
+  }
+
+  updateWorld(patch) {
+    if (this.readOnly) return;
+    this.setWorldSettings({
+      ...this.worldSettings,
+      ...patch,
+      gravity: { ...this.worldSettings.gravity, ...patch.gravity }
+    });
+    this.commitHistory(`Change ${describePatch(patch, 'world settings')}`);
+  }
+
+  syncWorldControls() {
+    const world = this.worldSettings;
+    const setSlider = (id, value, text) => {
+      document.getElementById(id).value = value;
+      document.getElementById(`${id}Value`).textContent = text;
+    };
+    document.getElementById('worldWidth').value = world.width;
+    document.getElementById('worldHeight').value = world.height;
+    setSlider('gravityAngle', world.gravity.angle, `${Math.round(world.gravity.angle)}°`);
+    setSlider('gravityStrength', world.gravity.strength, Number(world.gravity.strength).toFixed(2));
+    setSlider('timeScale', world.timeScale, `${Number(world.timeScale).toFixed(2)}×`);
+    setSlider('positionIterations', world.positionIterations, world.positionIterations);
+    setSlider('velocityIterations', world.velocityIterations, world.velocityIterations);
+    setSlider('constraintIterations', world.constraintIterations, world.constraintIterations);
+    setSlider('stepRate', Math.round(1000 / world.delta), `${Math.round(1000 / world.delta)} Hz`);
+    document.getElementById('sleepingToggle').checked = world.sleeping;
+    this.renderLayerMatrix();
+  }
 
-    Events.on(this.mouseConstraint, 'mousedown', (event) => {
-      const body = event.source.body || this.getBodyAtPointer(event.mouse.position);
-      if (this.tool === 'select') {
-        if (body && body.plugin && body.plugin.modelId) {
-          this.handleSelection(body.plugin.modelId, event.mouse.sourceEvents.mousedown.shiftKey);
-        } else {
-          this.clearSelection();
+  setPlaybackSpeed(speed) {
+    super.setPlaybackSpeed(speed);
+    document.querySelectorAll('#speedPills [data-speed]').forEach((btn) => {
+      btn.classList.toggle('active', Number(btn.dataset.speed) === speed);
+    });
+  }
+
+  renderLayerMatrix() {
+    const { layers } = this.worldSettings;
+    const table = document.getElementById('layerMatrix');
+    const head = document.createElement('tr');
+    head.appendChild(document.createElement('th'));
+    layers.forEach((layer, i) => {
+      const th = document.createElement('th');
+      th.textContent = i + 1;
+      th.title = layer.name;
+      head.appendChild(th);
+    });
+    const rows = layers.map((layer, i) => {
+      const row = document.createElement('tr');
+      const label = document.createElement('th');
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.value = layer.name;
+      name.dataset.layerName = i;
+      name.setAttribute('aria-label', `Layer ${i + 1} name`);
+      label.append(`${i + 1}`, name);
+      row.appendChild(label);
+      layers.forEach((other, j) => {
+        const cell = document.createElement('td');
+        if (j <= i) {
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.checked = Boolean(layer.mask & (2 ** j) && other.mask & (2 ** i));
+          box.dataset.layerA = i;
+          box.dataset.layerB = j;
+          box.title = `${layer.name} collides with ${other.name}`;
+          cell.appendChild(box);
         }
-      } else if (this.tool === 'constraint') {
-        this.handleConstraintPoint(body);
+        row.appendChild(cell);
+      });
+      const remove = document.createElement('td');
+      if (i > 0) {
+        const btn = document.createElement('button');
+        btn.className = 'ghost-btn';
+        btn.textContent = '×';
+        btn.title = `Remove ${layer.name}`;
+        btn.dataset.removeLayer = i;
+        remove.appendChild(btn);
       }
+      row.appendChild(remove);
+      return row;
+    });
+    table.replaceChildren(head, ...rows);
+    document.getElementById('addLayerBtn').disabled = layers.length >= MAX_LAYERS;
+  }
+
+  addLayer() {
+    const { layers } = this.worldSettings;
+    if (this.readOnly || layers.length >= MAX_LAYERS) return;
+    const bit = 2 ** layers.length;
+    this.updateWorld({
+      layers: [...layers.map((layer) => ({ ...layer, mask: (layer.mask | bit) >>> 0 })), { name: `Layer ${layers.length + 1}`, mask: ALL_LAYERS }]
+    });
+  }
+
+  renameLayer(index, name) {
+    const trimmed = name.trim();
+    if (this.readOnly || !trimmed) {
+      this.renderLayerMatrix();
+      return;
+    }
+    this.updateWorld({ layers: this.worldSettings.layers.map((layer, i) => (i === index ? { ...layer, name: trimmed } : layer)) });
+  }
+
+  setLayersCollide(a, b, collide) {
+    if (this.readOnly) return;
+    const toggle = (mask, bit) => (collide ? mask | (2 ** bit) : mask & ~(2 ** bit)) >>> 0;
+    const layers = this.worldSettings.layers.map((layer, i) => {
+      if (i === a) return { ...layer, mask: toggle(layer.mask, b) };
+      if (i === b) return { ...layer, mask: toggle(layer.mask, a) };
+      return layer;
+    });
+    this.updateWorld({ layers });
+  }
+
+  removeLayer(index) {
+    const { layers } = this.worldSettings;
+    if (this.readOnly || index <= 0 || index >= layers.length) return;
+    const dropBit = (mask) => {
+      const low = mask & (2 ** index - 1);
+      const high = Math.floor(mask / 2 ** (index + 1)) * 2 ** index;
+      return (low + high + (mask >= 2 ** 31 ? 2 ** 31 : 0)) >>> 0;
+    };
+    this.objects.forEach((model) => {
+      const layer = model.collision?.layer || 0;
+      if (layer < index) return;
+      model.collision = { ...model.collision, layer: layer === index ? 0 : layer - 1 };
     });
+    this.updateWorld({ layers: layers.filter((_, i) => i !== index).map((layer) => ({ ...layer, mask: dropBit(layer.mask) })) });
+    this.showInspector();
+  }
+
+  registerEvents() {
+    window.addEventListener('resize', () => this.resize());
 
     Events.on(this.mouseConstraint, 'startdrag', (event) => {
       if (this.tool !== 'select') return;
@@ -173,14 +904,34 @@ class Playground {
       if (body?.plugin?.locked) {
         this.mouseConstraint.body = null;
       } else if (body?.plugin?.modelId) {
-        this.handleSelection(body.plugin.modelId, event.source.mouse.sourceEvents.mousedown.shiftKey);
+        this.handleSelection(body.plugin.modelId, Boolean(event.source.mouse.sourceEvents.mousedown?.shiftKey));
       }
     });
 
     this.render.canvas.addEventListener('mousedown', (e) => this.handleCanvasDown(e));
+    this.render.canvas.addEventListener(
+      'wheel',
+      (e) => {
+        e.preventDefault();
+        const rect = this.render.canvas.getBoundingClientRect();
+        this.zoomAt({ x: e.clientX - rect.left, y: e.clientY - rect.top }, this.camera.zoom * Math.exp(-e.deltaY * 0.0015));
+      },
+      { passive: false }
+    );
+    this.render.canvas.addEventListener('dblclick', () => {
+      if (this.customPath) this.finishCustomPath();
+    });
     window.addEventListener('mousemove', (e) => this.handleCanvasMove(e));
     window.addEventListener('mouseup', (e) => this.handleCanvasUp(e));
     window.addEventListener('keydown', (e) => this.handleKey(e));
+    window.addEventListener('copy', (e) => this.copySelection(e));
+    window.addEventListener('paste', (e) => this.pasteFragment(e));
+    window.addEventListener('keyup', (e) => {
+      if (e.code !== 'Space' || isTyping(e)) return;
+      e.preventDefault();
+      this.spaceHeld = false;
+      this.appShell.classList.remove('can-pan');
+    });
   }
 
   bindUI() {
@@ -194,7 +945,11 @@ class Playground {
       const tool = button.dataset.tool;
       if (tool) {
         this.tool = tool;
+        if (button.dataset.linkKind) this.linkKind = button.dataset.linkKind;
+        if (button.dataset.fieldKind) this.fieldKind = button.dataset.fieldKind;
         this.constraintAnchor = null;
+        this.customPath = null;
+        this.clearGhost();
         this.updateToolButtons(tool);
         this.showHint(TOOL_HINTS[tool] || 'Sketch freely with physics.');
       }
@@ -207,18 +962,72 @@ class Playground {
     document.getElementById('quickReset').addEventListener('click', () => this.resetWorld());
     document.getElementById('undoBtn').addEventListener('click', () => this.undo());
     document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+    this.on('history', () => this.renderHistory());
     document.getElementById('saveSceneBtn').addEventListener('click', () => this.showSave());
     document.getElementById('closeDialog').addEventListener('click', () => this.hideSave());
     document.getElementById('copyScene').addEventListener('click', () => this.copyScene());
-    document.getElementById('loadSceneInput').addEventListener('change', (e) => this.loadScene(e));
+    document.getElementById('scriptBtn').addEventListener('click', () => this.showScript());
+    document.getElementById('closeScript').addEventListener('click', () => this.hideScript());
+    document.getElementById('runScript').addEventListener('click', () => this.runScript());
+    document.getElementById('scriptInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.runScript();
+      }
+    });
+    document.getElementById('loadSceneInput').addEventListener('change', (e) => this.loadSceneFile(e));
+    document.getElementById('exportSvgBtn').addEventListener('click', () => this.exportSVG());
+    document.getElementById('importSvgInput').addEventListener('change', (e) => this.importSVG(e));
     document.getElementById('playPauseBtn').addEventListener('click', () => this.togglePlay());
+    document.getElementById('simulateBtn').addEventListener('click', () => this.toggleMode());
+    document.getElementById('includeRuntime').addEventListener('change', () => this.showSave());
+    document.getElementById('libraryBtn').addEventListener('click', () => this.showLibrary());
+    document.getElementById('presetsBtn').addEventListener('click', () => this.showPresets());
+    document.getElementById('closePresets').addEventListener('click', () => this.hidePresets());
+    document.getElementById('exportPresetsBtn').addEventListener('click', () => this.exportPresets());
+    document.getElementById('importPresetsInput').addEventListener('change', (e) => this.importPresets(e));
+    document.getElementById('presetList').addEventListener('click', (e) => {
+      const action = e.target.dataset.presetAction;
+      const id = e.target.closest('.preset-row')?.dataset.id;
+      if (!action || !id) return;
+      if (action === 'apply') this.applyPreset(this.customPreset(id).kind, id);
+      if (action === 'update') this.updatePresetFromSelection(id);
+      if (action === 'rename') this.renamePreset(id);
+      if (action === 'delete') this.deletePreset(id);
+    });
+    document.getElementById('closeLibrary').addEventListener('click', () => this.hideLibrary());
+    document.getElementById('saveToLibrary').addEventListener('click', () => this.saveToLibrary());
+    document.getElementById('librarySort').addEventListener('change', () => this.renderLibrary());
+    document.getElementById('libraryList').addEventListener('click', (e) => {
+      const action = e.target.dataset.library;
+      const id = e.target.closest('.library-card')?.dataset.id;
+      if (!action || !id) return;
+      if (action === 'open') this.openLibraryScene(id);
+      if (action === 'rename') this.renameLibraryScene(id);
+      if (action === 'duplicate') this.duplicateLibraryScene(id);
+      if (action === 'delete') this.deleteLibraryScene(id);
+    });
+    document.getElementById('shareBtn').addEventListener('click', () => this.shareLink());
+    document.getElementById('forkBtn').addEventListener('click', () => this.forkScene());
+    document.getElementById('restoreSession').addEventListener('click', () => this.restoreSession());
+    document.getElementById('dismissRestore').addEventListener('click', () => this.dismissRestore());
+    document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+    document.getElementById('replayBtn').addEventListener('click', () => this.startReplay(this.lastRecording));
+    document.getElementById('exportRecordingBtn').addEventListener('click', () => this.exportRecording());
+    document.getElementById('loadRecordingInput').addEventListener('change', (e) => this.loadRecording(e));
 
     document.getElementById('settingsToggle').addEventListener('click', (e) => {
       e.stopPropagation();
       e.currentTarget.parentElement.classList.toggle('open');
     });
     document.getElementById('settingsPanel').addEventListener('click', (e) => e.stopPropagation());
-    window.addEventListener('click', () => document.querySelector('.settings')?.classList.remove('open'));
+    document.getElementById('historyToggle').addEventListener('click', (e) => {
+      e.stopPropagation();
+      e.currentTarget.parentElement.classList.toggle('open');
+      this.renderHistory();
+    });
+    document.getElementById('historyPanel').addEventListener('click', (e) => e.stopPropagation());
+    window.addEventListener('click', () => document.querySelectorAll('.settings').forEach((el) => el.classList.remove('open')));
     document.getElementById('surfaceButtons').addEventListener('click', (e) => {
       const btn = e.target.closest('button');
       if (!btn) return;
@@ -226,19 +1035,96 @@ class Playground {
       this.setSurface(btn.dataset.surface);
     });
     document.getElementById('debugToggle').addEventListener('change', (e) => this.toggleDebug(e.target.checked));
+    [
+      ['snapGridToggle', 'grid'],
+      ['snapAngleToggle', 'angle'],
+      ['snapGuidesToggle', 'guides']
+    ].forEach(([id, key]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        this.snapping[key] = e.target.checked;
+      });
+    });
+    ['worldWidth', 'worldHeight'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.updateWorld({
+          width: Number(document.getElementById('worldWidth').value),
+          height: Number(document.getElementById('worldHeight').value)
+        });
+      });
+    });
+    this.populatePresetRow('gravityPresets', GRAVITY_PRESETS, (name) => this.updateWorld({ gravity: GRAVITY_PRESETS[name] }));
+    this.linkSlider('gravityAngle', 'gravityAngleValue', (v) => this.updateWorld({ gravity: { angle: v } }));
+    this.linkSlider('gravityStrength', 'gravityStrengthValue', (v) => this.updateWorld({ gravity: { strength: v } }));
+    this.linkSlider('timeScale', 'timeScaleValue', (v) => this.updateWorld({ timeScale: v }));
+    this.linkSlider('positionIterations', 'positionIterationsValue', (v) => this.updateWorld({ positionIterations: Math.round(v) }));
+    this.linkSlider('velocityIterations', 'velocityIterationsValue', (v) => this.updateWorld({ velocityIterations: Math.round(v) }));
+    this.linkSlider('constraintIterations', 'constraintIterationsValue', (v) =>
+      this.updateWorld({ constraintIterations: Math.round(v) })
+    );
+    this.linkSlider('stepRate', 'stepRateValue', (v) => this.updateWorld({ delta: 1000 / v }));
+    document.getElementById('sleepingToggle').addEventListener('change', (e) => this.updateWorld({ sleeping: e.target.checked }));
+    document.getElementById('addLayerBtn').addEventListener('click', () => this.addLayer());
+    document.getElementById('layerMatrix').addEventListener('change', (e) => {
+      const { layerName, layerA, layerB } = e.target.dataset;
+      if (layerName !== undefined) this.renameLayer(Number(layerName), e.target.value);
+      if (layerA !== undefined) this.setLayersCollide(Number(layerA), Number(layerB), e.target.checked);
+    });
+    document.getElementById('layerMatrix').addEventListener('click', (e) => {
+      const index = e.target.dataset.removeLayer;
+      if (index !== undefined) this.removeLayer(Number(index));
+    });
+    const speedPills = document.getElementById('speedPills');
+    PLAYBACK_SPEEDS.forEach((speed) => {
+      const btn = document.createElement('button');
+      btn.className = speed === this.playbackSpeed ? 'pill active' : 'pill';
+      btn.dataset.timeline = 'speed';
+      btn.dataset.speed = speed;
+      btn.textContent = `${speed}×`;
+      speedPills.appendChild(btn);
+    });
+    document.getElementById('timeline').addEventListener('click', (e) => {
+      const action = e.target.closest('button')?.dataset.timeline;
+      if (action === 'back') this.stepBack();
+      if (action === 'forward') this.stepForward();
+      if (action === 'play') this.togglePlay();
+      if (action === 'speed') this.setPlaybackSpeed(Number(e.target.dataset.speed));
+    });
+    document.getElementById('timelineScrubber').addEventListener('input', (e) => this.seekFrame(Number(e.target.value)));
+    document.getElementById('cameraControls').addEventListener('click', (e) => {
+      const action = e.target.closest('button')?.dataset.camera;
+      if (action === 'in') this.zoomBy(1.25);
+      if (action === 'out') this.zoomBy(0.8);
+      if (action === 'fit') this.zoomToFit();
+      if (action === 'selection') this.zoomToSelection();
+    });
 
     document.getElementById('closeInspector').addEventListener('click', () => this.clearSelection());
 
     this.setupPills('bodyTypePills', (type) => this.updateSelection({ bodyType: type }));
     this.setupPills('shapePills', (shape) => this.changeShape(shape));
-    this.setupPills('renderModes', (renderMode) => this.updateVisual({ renderMode }));
-    this.populatePresetRow('behaviorPresets', PHYSICS_PRESETS, (name) => {
-      this.updatePhysics(PHYSICS_PRESETS[name]);
-    });
-    this.populatePresetRow('visualPresets', VISUAL_PRESETS, (name) => {
-      this.updateVisual(VISUAL_PRESETS[name]);
+    [
+      ['transformX', 'x'],
+      ['transformY', 'y'],
+      ['transformAngle', 'angle'],
+      ['transformWidth', 'width'],
+      ['transformHeight', 'height'],
+      ['transformRadius', 'radius']
+    ].forEach(([id, key]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (Number.isFinite(value)) this.updateTransform({ [key]: value });
+      });
     });
+    this.setupPills('renderModes', (renderMode) => this.updateVisual({ renderMode }));
+    this.setupPills('linkRenderTypes', (type) => this.updateLink({}, { type }));
+    this.setupPills('linkKindPills', (kind) => this.changeLinkKind(kind));
+    this.renderPresetRows();
 
+    document.getElementById('collisionLayer').addEventListener('change', (e) => this.updateCollision({ layer: Number(e.target.value) }));
+    document.getElementById('collisionGroup').addEventListener('change', (e) => {
+      const group = Math.max(0, Math.round(Number(e.target.value) || 0));
+      this.updateCollision({ group });
+    });
     this.linkSlider('restitution', 'restitutionValue', (v) => this.updatePhysics({ restitution: v }));
     this.linkSlider('friction', 'frictionValue', (v) => this.updatePhysics({ friction: v }));
     this.linkSlider('air', 'airValue', (v) => this.updatePhysics({ frictionAir: v }));
@@ -249,14 +1135,55 @@ class Playground {
     this.linkSlider('opacity', 'opacityValue', (v) => this.updateVisual({ opacity: v }));
     this.linkSlider('polygonSides', 'polygonSidesValue', (v) => this.changePolygonSides(Math.round(v)));
 
+    this.linkSlider('linkStiffness', 'linkStiffnessValue', (v) => this.updateLink({ stiffness: v }));
+    this.linkSlider('linkDamping', 'linkDampingValue', (v) => this.updateLink({ damping: v }));
+    this.linkSlider('linkLength', 'linkLengthValue', (v) => this.updateLink({ length: v }));
+    this.linkSlider('linkSegments', 'linkSegmentsValue', (v) => this.updateLink({ segments: Math.round(v) }));
+    this.linkSlider('linkWidth', 'linkWidthValue', (v) => this.updateLink({}, { width: v }));
+    document.getElementById('linkColor').addEventListener('change', (e) => this.updateLink({}, { color: e.target.value }));
+    document.getElementById('linkVisible').addEventListener('change', (e) => this.updateLink({}, { visible: e.target.checked }));
+
     document.getElementById('fill').addEventListener('change', (e) => this.updateVisual({ fill: e.target.value }));
     document.getElementById('stroke').addEventListener('change', (e) => this.updateVisual({ stroke: e.target.value }));
     document.getElementById('lockToggle').addEventListener('change', (e) => this.toggleLock(e.target.checked));
+    this.setupPills('fieldKindPills', (kind) => this.setFieldKind(kind));
+    this.setupPills('fieldFalloffPills', (falloff) => this.updateField({ falloff }));
+    this.setupPills('motorModePills', (mode) => this.updateMotor({ mode }));
+    this.linkSlider('motorSpeed', 'motorSpeedValue', (v) => this.updateMotor({ speed: v }));
+    this.linkSlider('motorTorque', 'motorTorqueValue', (v) => this.updateMotor({ torque: v }));
+    this.linkSlider('motorAxis', 'motorAxisValue', (v) => this.updateMotor({ axis: v }));
+    this.linkSlider('motorStroke', 'motorStrokeValue', (v) => this.updateMotor({ stroke: v }));
+    this.linkSlider('fieldStrength', 'fieldStrengthValue', (v) => this.updateField({ strength: v }));
+    this.linkSlider('fieldAngle', 'fieldAngleValue', (v) => this.updateField({ angle: v }));
+    this.linkSlider('fieldRadius', 'fieldRadiusValue', (v) => this.updateField({ radius: v }));
+    document.getElementById('objectTag').addEventListener('change', (e) => this.updateTag(e.target.value));
+    document.getElementById('emitterToggle').addEventListener('change', (e) => this.toggleEmitter(e.target.checked));
+    this.setupPills('emitterShapePills', (shape) => this.updateEmitter({ template: { shape } }));
+    this.populatePresetRow('emitterPhysicsPresets', PHYSICS_PRESETS, (physics) => this.updateEmitter({ template: { physics } }));
+    this.populatePresetRow('emitterVisualPresets', VISUAL_PRESETS, (visual) => this.updateEmitter({ template: { visual } }));
+    this.linkSlider('emitterSize', 'emitterSizeValue', (v) => this.updateEmitter({ template: { size: v } }));
+    this.linkSlider('emitterRate', 'emitterRateValue', (v) => this.updateEmitter({ rate: v }));
+    this.linkSlider('emitterSpeed', 'emitterSpeedValue', (v) => this.updateEmitter({ speed: v }));
+    this.linkSlider('emitterAngle', 'emitterAngleValue', (v) => this.updateEmitter({ angle: v }));
+    this.linkSlider('emitterSpread', 'emitterSpreadValue', (v) => this.updateEmitter({ spread: v }));
+    this.linkSlider('emitterMaxAlive', 'emitterMaxAliveValue', (v) => this.updateEmitter({ maxAlive: Math.round(v) }));
+    this.linkSlider('emitterLifetime', 'emitterLifetimeValue', (v) => this.updateEmitter({ lifetime: v }));
 
     this.inspector.addEventListener('click', (e) => {
       const action = e.target.dataset.action;
       if (action === 'duplicate') this.duplicateSelection();
       if (action === 'delete') this.deleteSelection();
+      if (action === 'group') this.groupSelection();
+      if (action === 'ungroup') this.ungroupSelection();
+      if (action === 'add-rule') this.addRule();
+      if (action === 'remove-rule') this.removeRule(Number(e.target.closest('.rule-row').dataset.rule));
+    });
+    document.getElementById('ruleList').addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      const row = e.target.closest('.rule-row');
+      if (!field || !row) return;
+      const value = e.target.type === 'number' ? Number(e.target.value) : e.target.value;
+      this.updateRule(Number(row.dataset.rule), { [field]: value });
     });
 
     this.bindIdleHide();
@@ -276,81 +1203,534 @@ class Playground {
   }
 
   togglePlay() {
-    this.paused = !this.paused;
-    const btn = document.getElementById('playPauseBtn');
-    if (this.paused) {
-      Runner.stop(this.runner);
-      btn.textContent = 'Play';
-    } else {
-      Runner.run(this.runner, this.engine);
-      btn.textContent = 'Pause';
+    if (this.replaying) return;
+    if (this.mode === 'edit') {
+      this.startSimulation();
+      return;
     }
+    this.setRunning(this.paused);
   }
 
-  setSurface(surface) {
-    this.appShell.classList.remove('surface-paper', 'surface-grid', 'surface-dark');
-    this.appShell.classList.add(`surface-${surface}`);
+  toggleMode() {
+    if (this.mode === 'edit') this.startSimulation();
+    else this.stopSimulation();
   }
 
-  toggleDebug(enabled) {
-    this.render.options.wireframes = enabled;
-    this.render.options.showAxes = enabled;
-    this.render.options.showCollisions = enabled;
+  setRunning(running) {
+    if (running === !this.paused) return;
+    if (running) this.timeline.truncate(this.timelineCursor + 1);
+    this.paused = !running;
+    if (running) Runner.run(this.runner, this.engine);
+    else Runner.stop(this.runner);
+    this.updateModeUI();
   }
 
-  setupPills(id, onClick) {
-    document.getElementById(id).addEventListener('click', (e) => {
-      const btn = e.target.closest('button');
-      if (!btn) return;
-      [...e.currentTarget.children].forEach((b) => b.classList.toggle('active', b === btn));
-      onClick(btn.dataset.type || btn.dataset.shape || btn.dataset.render);
-    });
+  startSimulation(run = true) {
+    if (this.mode === 'simulate') return;
+    this.mode = 'simulate';
+    this.layoutDrag = null;
+    this.resetTimeline();
+    this.setRunning(run);
+    this.updateModeUI();
+    this.showHint('Simulating • Stop rewinds to your layout');
   }
 
-  populatePresetRow(id, presetMap, onClick) {
-    const row = document.getElementById(id);
-    row.innerHTML = '';
-    Object.keys(presetMap).forEach((name) => {
-      const btn = document.createElement('button');
-      btn.className = 'pill';
-      btn.textContent = name;
-      btn.addEventListener('click', () => onClick(name));
-      row.appendChild(btn);
-    });
+  stopSimulation() {
+    if (this.mode !== 'simulate') return;
+    if (this.recording) this.stopRecording();
+    this.stopReplay();
+    this.setRunning(false);
+    this.mode = 'edit';
+    this.timeline.clear();
+    this.timelineCursor = -1;
+    this.rebuildWorld();
+    this.updateSelectionVisuals();
+    this.updateModeUI();
+    this.showHint('Back to layout • drag shapes to arrange them');
   }
 
-  linkSlider(id, valueId, onChange) {
-    const input = document.getElementById(id);
-    const label = document.getElementById(valueId);
-    const format = (v) => Number(v).toFixed(v < 0.1 ? 3 : 2);
+  resetTimeline() {
+    this.timeline.clear();
+    this.tick = 0;
+    this.timeline.push(this.captureFrame());
+    this.timelineCursor = 0;
+    this.updateTimelineUI();
+  }
+
+  recordFrame() {
+    if (this.mode !== 'simulate') return;
+    this.tick += 1;
+    this.timeline.push(this.captureFrame());
+    this.timelineCursor = this.timeline.length - 1;
+    this.updateTimelineUI();
+  }
+
+  stateTargets() {
+    const targets = [];
+    this.bodyMap.forEach((body, id) => targets.push([id, body]));
+    this.linkMap.forEach((composite, id) => {
+      composite.bodies.forEach((body, i) => targets.push([`${id}:${i}`, body]));
+    });
+    this.runtimeBodies.forEach((body) => targets.push([`runtime:${body.id}`, body]));
+    return targets;
+  }
+
+  captureFrame() {
+    const bodies = {};
+    this.stateTargets().forEach(([key, body]) => {
+      bodies[key] = {
+        position: { x: body.position.x, y: body.position.y },
+        angle: body.angle,
+        velocity: { x: body.velocity.x, y: body.velocity.y },
+        angularVelocity: body.angularVelocity,
+        isStatic: body.isStatic,
+        direction: body.plugin.motor?.direction,
+        fills: body.plugin.baseFills && body.parts.map((part) => part.render.fillStyle)
+      };
+    });
+    const emitters = [...this.emitterStates].map(([id, state]) => [id, { ...state, alive: [...state.alive] }]);
+    return {
+      tick: this.tick,
+      bodies,
+      runtime: [...this.runtimeBodies],
+      emitters,
+      ruleCounts: [...this.ruleCounts]
+    };
+  }
+
+  restoreFrame(frame) {
+    const missing = this.objects.filter((model) => frame.bodies[model.id] && !this.bodyMap.has(model.id));
+    this.objects.forEach((model) => {
+      const body = this.bodyMap.get(model.id);
+      if (body && !frame.bodies[model.id]) this.removeRuntimeBody(body);
+    });
+    if (missing.length) {
+      missing.forEach((model) => {
+        const body = this.buildBody(model);
+        World.add(this.engine.world, body);
+        this.bodyMap.set(model.id, body);
+      });
+      missing.forEach((model) => this.refreshLinksFor(model.id));
+      const inOrder = (map, items) => new Map(items.filter(({ id }) => map.has(id)).map(({ id }) => [id, map.get(id)]));
+      this.bodyMap = inOrder(this.bodyMap, this.objects);
+      this.linkMap = inOrder(this.linkMap, this.links);
+    }
+    const runtime = new Set(frame.runtime);
+    this.runtimeBodies.forEach((body) => {
+      if (!runtime.has(body)) World.remove(this.engine.world, body);
+    });
+    runtime.forEach((body) => {
+      if (!this.runtimeBodies.has(body)) World.add(this.engine.world, body);
+    });
+    this.runtimeBodies = runtime;
+    this.emitterStates = new Map(frame.emitters.map(([id, state]) => [id, { ...state, alive: [...state.alive] }]));
+    this.ruleCounts = new Map(frame.ruleCounts);
+    this.ruleQueue = [];
+    this.stateTargets().forEach(([key, body]) => {
+      const state = frame.bodies[key];
+      if (!state) return;
+      if (body.isStatic !== state.isStatic) Body.setStatic(body, state.isStatic);
+      const fills = state.fills || body.plugin.baseFills;
+      if (fills) body.parts.forEach((part, i) => (part.render.fillStyle = fills[i]));
+      if (body.plugin.motor && state.direction !== undefined) body.plugin.motor.direction = state.direction;
+      Sleeping.set(body, false);
+      Body.setPosition(body, state.position);
+      Body.setAngle(body, state.angle);
+      Body.setVelocity(body, state.velocity);
+      Body.setAngularVelocity(body, state.angularVelocity);
+    });
+    this.tick = frame.tick;
+  }
+
+  seekFrame(index) {
+    if (this.mode !== 'simulate' || !this.timeline.length || this.recording || this.replaying) return;
+    this.setRunning(false);
+    const clamped = Math.max(0, Math.min(this.timeline.length - 1, index));
+    this.restoreFrame(this.timeline.at(clamped));
+    this.timelineCursor = clamped;
+    this.updateTimelineUI();
+  }
+
+  stepForward() {
+    if (this.replaying) return;
+    if (this.mode === 'edit') this.startSimulation(false);
+    this.setRunning(false);
+    if (this.timelineCursor < this.timeline.length - 1) {
+      this.seekFrame(this.timelineCursor + 1);
+      return;
+    }
+    Engine.update(this.engine, this.runner.delta);
+  }
+
+  stepBack() {
+    this.seekFrame(this.timelineCursor - 1);
+  }
+
+  updateTimelineUI() {
+    const scrubber = document.getElementById('timelineScrubber');
+    scrubber.max = Math.max(0, this.timeline.length - 1);
+    scrubber.value = Math.max(0, this.timelineCursor);
+    const seconds = (this.tick * this.runner.delta) / 1000;
+    document.getElementById('timelineLabel').textContent = `tick ${this.tick} • ${seconds.toFixed(2)}s`;
+  }
+
+  toggleRecording() {
+    if (this.recording) this.stopRecording();
+    else this.startRecording();
+  }
+
+  startRecording() {
+    if (this.replaying) return;
+    this.stopSimulation();
+    this.rebuildWorld();
+    this.updateSelectionVisuals();
+    Pairs.clear(this.engine.pairs);
+    this.recording = {
+      version: RECORDING_VERSION,
+      scene: this.sceneSnapshot(),
+      delta: this.runner.delta,
+      speed: this.playbackSpeed,
+      ticks: 0,
+      inputs: [],
+      checksums: []
+    };
+    this.lastPointer = null;
+    RECORDED_CALLS.forEach((method) => {
+      const original = Playground.prototype[method];
+      this[method] = (...args) => this.recordCall(method, args, () => original.apply(this, args));
+    });
+    this.startSimulation();
+    this.recording.checksums[0] = this.stateChecksum();
+    this.updateRecordingUI();
+    this.showHint('Recording • drags and edits are captured per tick');
+  }
+
+  stopRecording() {
+    if (!this.recording) return;
+    RECORDED_CALLS.forEach((method) => delete this[method]);
+    this.recording.ticks = this.tick;
+    this.lastRecording = this.recording;
+    this.recording = null;
+    this.setRunning(false);
+    this.updateRecordingUI();
+    this.showHint(`Recorded ${this.lastRecording.ticks} ticks • Replay or export it`);
+  }
+
+  recordCall(method, args, run) {
+    if (this.recording && !this.recordingDepth) {
+      this.recording.inputs.push({
+        tick: this.tick,
+        type: 'call',
+        method,
+        args: JSON.parse(JSON.stringify(args)),
+        selectedIds: [...this.selectedIds],
+        selectedLinkId: this.selectedLinkId,
+        nextId: this.nextId,
+        nextLinkId: this.nextLinkId
+      });
+    }
+    this.recordingDepth += 1;
+    try {
+      return run();
+    } finally {
+      this.recordingDepth -= 1;
+    }
+  }
+
+  capturePointer() {
+    if (!this.recording) return;
+    const pointer = {
+      x: this.mouse.position.x,
+      y: this.mouse.position.y,
+      button: this.panDrag ? -1 : this.mouse.button
+    };
+    const last = this.lastPointer;
+    if (last && last.x === pointer.x && last.y === pointer.y && last.button === pointer.button) return;
+    if (!last && pointer.button === -1) return;
+    this.lastPointer = pointer;
+    this.recording.inputs.push({ tick: this.tick, type: 'pointer', ...pointer });
+  }
+
+  recordChecksum() {
+    if (this.recording && this.mode === 'simulate') this.recording.checksums[this.tick] = this.stateChecksum();
+  }
+
+  stateChecksum() {
+    let hash = 0;
+    this.stateTargets().forEach(([, body]) => {
+      [body.position.x, body.position.y, body.angle].forEach((value) => {
+        hash = (hash * 31 + Math.round(value * 1000)) % 2147483647;
+      });
+    });
+    return hash;
+  }
+
+  startReplay(recording) {
+    if (!recording || this.replaying) return;
+    if (this.recording) this.stopRecording();
+    this.stopSimulation();
+    this.applySnapshot(recording.scene);
+    this.setPlaybackSpeed(recording.speed || 1);
+    this.detachLibraryEntry();
+    this.commitHistory('Load recording');
+    Pairs.clear(this.engine.pairs);
+    this.replaying = {
+      recording,
+      index: 0,
+      divergence: recording.checksums[0] !== this.stateChecksum() ? 0 : null,
+      mouse: { position: { x: 0, y: 0 }, button: -1, sourceEvents: {} },
+      frame: null
+    };
+    this.mouseConstraint.mouse = this.replaying.mouse;
+    this.startSimulation(false);
+    this.updateRecordingUI();
+    this.showHint(`Replaying ${recording.ticks} ticks…`);
+    this.replaying.frame = requestAnimationFrame(() => this.runReplay());
+  }
+
+  runReplay() {
+    const replay = this.replaying;
+    if (!replay) return;
+    const { recording } = replay;
+    if (this.tick >= recording.ticks) {
+      this.finishReplay();
+      return;
+    }
+    this.applyReplayInputs();
+    Engine.update(this.engine, recording.delta);
+    const expected = recording.checksums[this.tick];
+    if (replay.divergence === null && expected !== undefined && expected !== this.stateChecksum()) {
+      replay.divergence = this.tick;
+      this.showHint(`Replay diverged at tick ${this.tick}`);
+    }
+    replay.frame = requestAnimationFrame(() => this.runReplay());
+  }
+
+  applyReplayInputs() {
+    const replay = this.replaying;
+    const { inputs } = replay.recording;
+    while (replay.index < inputs.length && inputs[replay.index].tick <= this.tick) {
+      const input = inputs[replay.index];
+      replay.index += 1;
+      if (input.type === 'pointer') {
+        replay.mouse.position.x = input.x;
+        replay.mouse.position.y = input.y;
+        replay.mouse.button = input.button;
+      } else if (input.type === 'call' && RECORDED_CALLS.includes(input.method)) {
+        this.selectedIds = [...input.selectedIds];
+        this.selectedLinkId = input.selectedLinkId;
+        this.nextId = input.nextId;
+        this.nextLinkId = input.nextLinkId;
+        this[input.method](...JSON.parse(JSON.stringify(input.args)));
+        this.updateSelectionVisuals();
+      }
+    }
+  }
+
+  finishReplay() {
+    const { recording, divergence } = this.replaying;
+    this.stopReplay();
+    this.showHint(
+      divergence === null
+        ? `Replay matched all ${recording.ticks} ticks`
+        : `Replay diverged at tick ${divergence} of ${recording.ticks}`
+    );
+  }
+
+  stopReplay() {
+    if (!this.replaying) return;
+    cancelAnimationFrame(this.replaying.frame);
+    this.replaying = null;
+    this.mouseConstraint.mouse = this.mouse;
+    this.mouseConstraint.constraint.bodyB = null;
+    this.mouseConstraint.body = null;
+    this.updateRecordingUI();
+  }
+
+  exportRecording() {
+    if (!this.lastRecording) return;
+    downloadJSON(`recording-${this.lastRecording.ticks}-ticks.json`, this.lastRecording);
+  }
+
+  loadRecording(event) {
+    const file = event.target.files[0];
+    if (!file || this.readOnly) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const data = JSON.parse(reader.result);
+        if (!Array.isArray(data.inputs)) throw new Error('Invalid recording');
+        this.lastRecording = {
+          version: data.version || RECORDING_VERSION,
+          scene: prepareScene(data.scene),
+          delta: data.delta || data.scene.world?.delta || DEFAULT_WORLD.delta,
+          speed: data.speed || 1,
+          ticks: data.ticks || 0,
+          inputs: data.inputs,
+          checksums: data.checksums || []
+        };
+        this.startReplay(this.lastRecording);
+      } catch (err) {
+        alert('Failed to load recording: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
+  updateRecordingUI() {
+    const recordBtn = document.getElementById('recordBtn');
+    recordBtn.textContent = this.recording ? 'Stop rec' : 'Record';
+    recordBtn.classList.toggle('is-live', Boolean(this.recording));
+    const idle = !this.recording && !this.replaying;
+    document.getElementById('replayBtn').disabled = !this.lastRecording || !idle;
+    document.getElementById('exportRecordingBtn').disabled = !this.lastRecording || !idle;
+  }
+
+  updateModeUI() {
+    const simulating = this.mode === 'simulate';
+    this.appShell.classList.toggle('mode-simulate', simulating);
+    this.appShell.classList.toggle('mode-edit', !simulating);
+    const simulateBtn = document.getElementById('simulateBtn');
+    simulateBtn.textContent = simulating ? 'Stop' : 'Simulate';
+    simulateBtn.classList.toggle('is-live', simulating);
+    document.getElementById('playPauseBtn').textContent = simulating && !this.paused ? 'Pause' : 'Play';
+    document.getElementById('timeline').classList.toggle('hidden', !simulating);
+    document.getElementById('timelinePlay').textContent = simulating && !this.paused ? '❚❚' : '▶';
+  }
+
+  setSurface(surface) {
+    this.appShell.classList.remove('surface-paper', 'surface-grid', 'surface-dark');
+    this.appShell.classList.add(`surface-${surface}`);
+  }
+
+  toggleDebug(enabled) {
+    this.render.options.wireframes = enabled;
+    this.render.options.showAxes = enabled;
+    this.render.options.showCollisions = enabled;
+  }
+
+  setupPills(id, onClick) {
+    document.getElementById(id).addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      [...e.currentTarget.children].forEach((b) => b.classList.toggle('active', b === btn));
+      onClick(btn.dataset.type || btn.dataset.shape || btn.dataset.render || btn.dataset.kind);
+    });
+  }
+
+  populatePresetRow(id, presetMap, onClick) {
+    const row = document.getElementById(id);
+    row.innerHTML = '';
+    Object.keys(presetMap).forEach((name) => {
+      const btn = document.createElement('button');
+      btn.className = 'pill';
+      btn.textContent = name;
+      btn.addEventListener('click', () => onClick(name));
+      row.appendChild(btn);
+    });
+  }
+
+  linkSlider(id, valueId, onChange) {
+    const input = document.getElementById(id);
+    const label = document.getElementById(valueId);
+    const format = (v) => Number(v).toFixed(v < 0.1 ? 3 : 2);
     label.textContent = format(input.value);
     input.addEventListener('input', (e) => {
       const v = parseFloat(e.target.value);
       label.textContent = format(v);
+      this.sliderDrag = [id, this.selectedLinkId, ...this.selectedIds].join(':');
       onChange(v);
+      this.sliderDrag = null;
     });
+    ['change', 'pointerup', 'blur'].forEach((type) => input.addEventListener(type, () => this.endCoalescing()));
   }
 
   handleCanvasDown(event) {
+    if (this.replaying) return;
+    if (event.button === 1 || (event.button === 0 && this.spaceHeld)) {
+      this.beginPan(event);
+      return;
+    }
+    const point = this.pointerPosition(event);
+    const handle = this.tool === 'select' ? this.gizmoHandleAt(point) : null;
+    if (handle) {
+      this.beginGizmoDrag(handle, point);
+      return;
+    }
+    if (this.tool === 'select' || this.tool === 'constraint') {
+      this.handlePick(this.getBodyAtPointer(point), event.shiftKey, point);
+      return;
+    }
+    if (this.tool === 'custom') {
+      this.handleCustomDown(this.customPath?.freehand ? point : this.snapPathPoint(point));
+      return;
+    }
     if (!DRAW_TOOLS.includes(this.tool)) return;
-    const rect = this.render.canvas.getBoundingClientRect();
     this.isDrawing = true;
-    this.dragStart = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    this.dragStart = this.snapDrawPoint(point);
   }
 
   handleCanvasMove(event) {
+    if (this.panDrag) {
+      this.movePan(event);
+      return;
+    }
+    if (this.tool === 'constraint' && this.constraintAnchor) {
+      this.drawLinkGhost(this.constraintAnchor.point, this.pointerPosition(event));
+      return;
+    }
+    if (this.customPath) {
+      this.handleCustomMove(this.pointerPosition(event));
+      return;
+    }
+    if (this.layoutDrag) {
+      this.moveLayoutDrag(this.pointerPosition(event));
+      return;
+    }
+    if (this.gizmoDrag) {
+      this.moveGizmoDrag(this.pointerPosition(event), event.shiftKey);
+      return;
+    }
+    if (this.marquee) {
+      this.moveMarquee(this.pointerPosition(event));
+      return;
+    }
+    if (this.tool === 'select') {
+      const handle = this.gizmoHandleAt(this.pointerPosition(event));
+      this.render.canvas.style.cursor = handle ? GIZMO_CURSORS[handle] : '';
+    }
     if (!this.isDrawing || !DRAW_TOOLS.includes(this.tool)) return;
-    const rect = this.render.canvas.getBoundingClientRect();
-    const current = { x: event.clientX - rect.left, y: event.clientY - rect.top };
-    this.drawGhost(this.dragStart, current, this.tool);
+    this.drawGhost(this.dragStart, this.snapDrawPoint(this.pointerPosition(event)), this.tool);
   }
 
   handleCanvasUp(event) {
+    if (this.panDrag) {
+      this.endPan();
+      return;
+    }
+    if (this.layoutDrag) {
+      this.endLayoutDrag();
+      return;
+    }
+    if (this.gizmoDrag) {
+      this.endGizmoDrag();
+      return;
+    }
+    if (this.marquee) {
+      this.endMarquee();
+      return;
+    }
+    if (this.customPath?.pointerDown) {
+      this.customPath.pointerDown = false;
+      if (this.customPath.freehand) this.finishCustomPath();
+      return;
+    }
     if (!this.isDrawing || !DRAW_TOOLS.includes(this.tool)) return;
-    const rect = this.render.canvas.getBoundingClientRect();
-    const end = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    const end = this.snapDrawPoint(this.pointerPosition(event));
     const start = this.dragStart;
     this.isDrawing = false;
+    this.guides = [];
     this.clearGhost();
 
     const minSize = 32;
@@ -359,7 +1739,7 @@ class Playground {
     const center = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
 
     const shape = (() => {
-      if (this.tool === 'circle' || this.tool === 'sensor') {
+      if (this.tool === 'circle' || this.tool === 'sensor' || this.tool === 'emitter' || (this.tool === 'field' && this.fieldKind !== 'wind')) {
         const radius = Math.max(Math.hypot(end.x - start.x, end.y - start.y) / 2, minSize / 2);
         return { type: 'circle', radius };
       }
@@ -370,27 +1750,324 @@ class Playground {
       return { type: 'rectangle', width: Math.max(width, minSize), height: Math.max(height, minSize) };
     })();
 
-    const bodyType = this.tool === 'wall' ? 'static' : this.tool === 'sensor' ? 'sensor' : 'dynamic';
+    const bodyType = ['wall', 'emitter', 'field'].includes(this.tool) ? 'static' : this.tool === 'sensor' ? 'sensor' : 'dynamic';
     const model = this.createModel({
       position: center,
       shape,
       bodyType
     });
+    if (this.tool === 'field') {
+      model.label = FIELD_KINDS[this.fieldKind].label;
+      model.field = { kind: this.fieldKind, ...DEFAULT_FIELD };
+      model.visual.fill = FIELD_KINDS[this.fieldKind].fill;
+      model.visual.stroke = FIELD_KINDS[this.fieldKind].fill;
+    }
+    if (this.tool === 'emitter') {
+      model.label = 'emitter';
+      model.emitter = structuredClone(DEFAULT_EMITTER);
+    }
     this.addModelToWorld(model);
-    this.commitHistory();
+    this.commitHistory(`Add ${this.tool === 'field' ? FIELD_KINDS[this.fieldKind].label : this.tool}`);
     this.handleSelection(model.id);
   }
 
-  drawGhost(start, end, tool) {
+  handlePick(body, additive, point) {
+    if (this.tool === 'constraint') {
+      this.handleConstraintPoint(body, point);
+      return;
+    }
+    if (body?.plugin?.linkId) {
+      this.selectLink(body.plugin.linkId);
+      return;
+    }
+    const id = body?.plugin?.modelId;
+    if (!id) {
+      const linkId = this.getLinkAtPointer(point);
+      if (linkId) this.selectLink(linkId);
+      else this.beginMarquee(point, additive);
+      return;
+    }
+    if (additive || !this.selectedIds.includes(id)) this.handleSelection(id, additive);
+    if (this.mode === 'edit' && !body.plugin.locked) this.beginLayoutDrag(point);
+  }
+
+  beginMarquee(point, additive) {
+    if (!additive) this.clearSelection();
+    this.marquee = { start: point, end: point, base: [...this.selectedIds] };
+  }
+
+  moveMarquee(point) {
+    const { start } = this.marquee;
+    this.marquee.end = point;
+    const ctx = this.ghostContext();
+    ctx.strokeStyle = 'rgba(99,102,241,0.9)';
+    ctx.fillStyle = 'rgba(99,102,241,0.08)';
+    ctx.fillRect(Math.min(start.x, point.x), Math.min(start.y, point.y), Math.abs(point.x - start.x), Math.abs(point.y - start.y));
+    ctx.strokeRect(Math.min(start.x, point.x), Math.min(start.y, point.y), Math.abs(point.x - start.x), Math.abs(point.y - start.y));
+    ctx.restore();
+  }
+
+  endMarquee() {
+    const { start, end, base } = this.marquee;
+    this.marquee = null;
+    this.clearGhost();
+    if (Math.hypot(end.x - start.x, end.y - start.y) * this.camera.zoom < 3) return;
+    const region = Bounds.create([start, end]);
+    const hits = [...this.bodyMap].filter(([, body]) => Bounds.overlaps(body.bounds, region)).map(([id]) => id);
+    this.selectIds([...new Set([...base, ...hits])]);
+  }
+
+  selectIds(ids) {
+    if (!ids.length) {
+      this.clearSelection();
+      return;
+    }
+    this.selectedIds = ids;
+    this.selectedLinkId = null;
+    this.updateSelectionVisuals();
+    this.showInspector();
+  }
+
+  beginLayoutDrag(point) {
+    if (this.readOnly) return;
+    const origins = this.selectedIds
+      .map((id) => this.objects.find((o) => o.id === id))
+      .filter((model) => model && !model.locked)
+      .map((model) => ({ id: model.id, position: { ...model.position } }));
+    const bodies = origins.map(({ id }) => this.bodyMap.get(id)).filter(Boolean);
+    this.layoutDrag = { start: point, origins, bounds: bodies.length ? boundsOf(bodies) : null, moved: false };
+  }
+
+  moveLayoutDrag(point) {
+    let dx = point.x - this.layoutDrag.start.x;
+    let dy = point.y - this.layoutDrag.start.y;
+    this.layoutDrag.moved = this.layoutDrag.moved || Math.hypot(dx, dy) * this.camera.zoom > 2;
+    if (!this.layoutDrag.moved) return;
+    const [primary] = this.layoutDrag.origins;
+    if (this.snapping.grid && primary) {
+      dx = snapValue(primary.position.x + dx, GRID_SPACING) - primary.position.x;
+      dy = snapValue(primary.position.y + dy, GRID_SPACING) - primary.position.y;
+    }
+    this.guides = [];
+    if (this.snapping.guides && this.layoutDrag.bounds) {
+      const { min, max } = this.layoutDrag.bounds;
+      const moved = { min: { x: min.x + dx, y: min.y + dy }, max: { x: max.x + dx, y: max.y + dy } };
+      const { offset, guides } = this.alignmentSnap(moved, this.layoutDrag.origins.map(({ id }) => id));
+      dx += offset.x;
+      dy += offset.y;
+      this.guides = guides;
+    }
+    this.layoutDrag.origins.forEach(({ id, position }) => {
+      const model = this.objects.find((o) => o.id === id);
+      const body = this.bodyMap.get(id);
+      if (!model || !body) return;
+      model.position = { x: position.x + dx, y: position.y + dy };
+      Body.setPosition(body, model.position);
+    });
+  }
+
+  endLayoutDrag() {
+    const { moved, origins } = this.layoutDrag;
+    this.layoutDrag = null;
+    this.guides = [];
     this.clearGhost();
+    if (!moved) return;
+    origins.forEach(({ id }) => this.refreshLinksFor(id));
+    this.commitHistory(`Move ${this.describeObjects(origins.map(({ id }) => id))}`);
+    this.showInspector();
+  }
+
+  gizmoBounds() {
+    if (this.mode !== 'edit' || this.tool !== 'select' || this.readOnly || this.replaying) return null;
+    const bodies = this.selectedIds
+      .filter((id) => !this.objects.find((o) => o.id === id)?.locked)
+      .map((id) => this.bodyMap.get(id))
+      .filter(Boolean);
+    return bodies.length ? boundsOf(bodies) : null;
+  }
+
+  gizmoHandleAt(point) {
+    const bounds = this.gizmoBounds();
+    if (!bounds) return null;
+    const { zoom } = this.camera;
+    const hit = Object.entries(gizmoHandles(bounds, zoom)).find(
+      ([, handle]) => Math.hypot(point.x - handle.x, point.y - handle.y) <= GIZMO_HANDLE / zoom
+    );
+    return hit ? hit[0] : null;
+  }
+
+  beginGizmoDrag(handle, point) {
+    const bounds = this.gizmoBounds();
+    const targets = this.selectedIds
+      .map((id) => this.objects.find((o) => o.id === id))
+      .filter((model) => model && !model.locked && this.bodyMap.get(model.id))
+      .map((model) => {
+        const body = this.bodyMap.get(model.id);
+        return { id: model.id, position: { ...body.position }, angle: body.angle, shape: structuredClone(model.shape) };
+      });
+    this.gizmoDrag = { handle, start: point, handles: gizmoHandles(bounds, this.camera.zoom), bounds, targets, changed: false };
+  }
+
+  moveGizmoDrag(point, modifier) {
+    const drag = this.gizmoDrag;
+    const { handle, start, handles, bounds, targets } = drag;
+    if (handle === 'rotate') {
+      const centre = { x: (bounds.min.x + bounds.max.x) / 2, y: (bounds.min.y + bounds.max.y) / 2 };
+      let delta = Math.atan2(point.y - centre.y, point.x - centre.x) - Math.atan2(start.y - centre.y, start.x - centre.x);
+      if (!modifier) delta = snapValue(delta, (ANGLE_SNAP * Math.PI) / 180);
+      drag.changed = delta !== 0;
+      targets.forEach(({ id, position, angle }) => {
+        const model = this.objects.find((o) => o.id === id);
+        const body = this.bodyMap.get(id);
+        if (!model || !body) return;
+        model.position = Vector.add(centre, Vector.rotate(Vector.sub(position, centre), delta));
+        model.angle = angle + delta;
+        Body.setPosition(body, model.position);
+        Body.setAngle(body, model.angle);
+      });
+      return;
+    }
+    const from = handles[handle];
+    const anchor = handles[GIZMO_OPPOSITE[handle]];
+    let sx = /[ew]/.test(handle) ? Math.max(GIZMO_MIN_SCALE, (point.x - anchor.x) / (from.x - anchor.x)) : 1;
+    let sy = /[ns]/.test(handle) ? Math.max(GIZMO_MIN_SCALE, (point.y - anchor.y) / (from.y - anchor.y)) : 1;
+    if (modifier && handle.length === 2) {
+      sx = Math.max(sx, sy);
+      sy = sx;
+    }
+    drag.changed = sx !== 1 || sy !== 1;
+    targets.forEach(({ id, position, angle, shape }) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      model.position = { x: anchor.x + (position.x - anchor.x) * sx, y: anchor.y + (position.y - anchor.y) * sy };
+      model.angle = angle;
+      model.shape = scaledShape(shape, angle, sx, sy);
+      this.rebuildBody(model);
+      const body = this.bodyMap.get(id);
+      Body.setPosition(body, model.position);
+      Body.setAngle(body, angle);
+    });
+  }
+
+  endGizmoDrag() {
+    const { handle, changed, targets } = this.gizmoDrag;
+    this.gizmoDrag = null;
+    if (!changed) return;
+    targets.forEach(({ id }) => this.refreshLinksFor(id));
+    this.commitHistory(`${handle === 'rotate' ? 'Rotate' : 'Resize'} ${this.describeObjects(targets.map(({ id }) => id))}`);
+    this.showInspector();
+  }
+
+  drawGizmo() {
+    const bounds = this.gizmoBounds();
+    if (!bounds) return;
+    const ctx = this.ghostCtx;
+    const { x, y, zoom } = this.camera;
+    const handles = gizmoHandles(bounds, zoom);
+    const size = GIZMO_HANDLE / zoom;
+    ctx.save();
+    ctx.setTransform(zoom, 0, 0, zoom, -x * zoom, -y * zoom);
+    ctx.strokeStyle = '#6366f1';
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.strokeRect(bounds.min.x, bounds.min.y, bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+    ctx.beginPath();
+    ctx.moveTo(handles.n.x, handles.n.y);
+    ctx.lineTo(handles.rotate.x, handles.rotate.y);
+    ctx.stroke();
+    Object.entries(handles).forEach(([name, handle]) => {
+      ctx.beginPath();
+      if (name === 'rotate') ctx.arc(handle.x, handle.y, size / 2, 0, Math.PI * 2);
+      else ctx.rect(handle.x - size / 2, handle.y - size / 2, size, size);
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  snapDrawPoint(point) {
+    let snapped = point;
+    if (this.snapping.grid) snapped = { x: snapValue(point.x, GRID_SPACING), y: snapValue(point.y, GRID_SPACING) };
+    this.guides = [];
+    if (!this.snapping.guides) return snapped;
+    const { offset, guides } = this.alignmentSnap({ min: snapped, max: snapped });
+    this.guides = guides;
+    return { x: snapped.x + offset.x, y: snapped.y + offset.y };
+  }
+
+  snapPathPoint(point) {
+    const snapped = this.snapDrawPoint(point);
+    const last = this.customPath?.points[this.customPath.points.length - 1];
+    if (!this.snapping.angle || !last) return snapped;
+    const step = (ANGLE_SNAP * Math.PI) / 180;
+    const angle = snapValue(Math.atan2(snapped.y - last.y, snapped.x - last.x), step);
+    const length = Math.hypot(snapped.x - last.x, snapped.y - last.y);
+    this.guides = [];
+    return { x: last.x + Math.cos(angle) * length, y: last.y + Math.sin(angle) * length };
+  }
+
+  alignmentSnap(bounds, ignore = []) {
+    const threshold = GUIDE_SNAP / this.camera.zoom;
+    const lines = ({ min, max }) => ({ x: [min.x, (min.x + max.x) / 2, max.x], y: [min.y, (min.y + max.y) / 2, max.y] });
+    const own = lines(bounds);
+    const best = {};
+    this.bodyMap.forEach((body, id) => {
+      if (ignore.includes(id)) return;
+      const other = lines(body.bounds);
+      ['x', 'y'].forEach((axis) => {
+        own[axis].forEach((from) => {
+          other[axis].forEach((to) => {
+            const delta = to - from;
+            if (Math.abs(delta) > threshold || (best[axis] && Math.abs(best[axis].delta) <= Math.abs(delta))) return;
+            best[axis] = { delta, at: to, bounds: body.bounds };
+          });
+        });
+      });
+    });
+    const offset = { x: best.x?.delta || 0, y: best.y?.delta || 0 };
+    const guides = ['x', 'y']
+      .filter((axis) => best[axis])
+      .map((axis) => {
+        const cross = axis === 'x' ? 'y' : 'x';
+        const { at, bounds: other } = best[axis];
+        return {
+          axis,
+          at,
+          from: Math.min(bounds.min[cross] + offset[cross], other.min[cross]),
+          to: Math.max(bounds.max[cross] + offset[cross], other.max[cross])
+        };
+      });
+    return { offset, guides };
+  }
+
+  drawGuides() {
+    if (!this.guides.length) return;
     const ctx = this.ghostCtx;
+    const { x, y, zoom } = this.camera;
     ctx.save();
+    ctx.setTransform(zoom, 0, 0, zoom, -x * zoom, -y * zoom);
+    ctx.strokeStyle = '#f43f5e';
+    ctx.lineWidth = 1 / zoom;
+    ctx.beginPath();
+    this.guides.forEach(({ axis, at, from, to }) => {
+      if (axis === 'x') {
+        ctx.moveTo(at, from);
+        ctx.lineTo(at, to);
+      } else {
+        ctx.moveTo(from, at);
+        ctx.lineTo(to, at);
+      }
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  drawGhost(start, end, tool) {
+    const ctx = this.ghostContext();
     ctx.strokeStyle = 'rgba(34,211,238,0.8)';
-    ctx.setLineDash([6, 8]);
-    ctx.lineWidth = 2;
     const center = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
     const radius = Math.max(Math.hypot(end.x - start.x, end.y - start.y) / 2, 16);
-    if (tool === 'circle' || tool === 'sensor') {
+    if (tool === 'circle' || tool === 'sensor' || tool === 'emitter' || (tool === 'field' && this.fieldKind !== 'wind')) {
       ctx.beginPath();
       ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
       ctx.stroke();
@@ -412,75 +2089,131 @@ class Playground {
     ctx.restore();
   }
 
-  clearGhost() {
-    this.ghostCtx.clearRect(0, 0, this.ghostCanvas.width, this.ghostCanvas.height);
+  handleCustomDown(point) {
+    if (!this.customPath) {
+      this.customPath = { points: [point], freehand: false, pointerDown: true };
+      this.drawPathGhost(this.customPath.points, point);
+      return;
+    }
+    const { points } = this.customPath;
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) <= PATH_CLOSE_RADIUS / this.camera.zoom) {
+      this.finishCustomPath();
+      return;
+    }
+    if (Math.hypot(point.x - last.x, point.y - last.y) > 2 / this.camera.zoom) points.push(point);
+    this.customPath.pointerDown = true;
+    this.drawPathGhost(points, point);
   }
 
-  createModel({ position, shape, bodyType }) {
-    const id = `obj-${this.nextId++}`;
-    return {
-      id,
-      label: shape.type,
-      position,
-      angle: 0,
-      bodyType,
-      locked: false,
-      shape,
-      physics: { ...DEFAULT_PHYSICS },
-      visual: { ...DEFAULT_VISUAL }
-    };
+  handleCustomMove(point) {
+    const path = this.customPath;
+    const last = path.points[path.points.length - 1];
+    const distance = Math.hypot(point.x - last.x, point.y - last.y) * this.camera.zoom;
+    if (path.pointerDown && path.points.length === 1 && distance > FREEHAND_THRESHOLD) path.freehand = true;
+    if (path.pointerDown && path.freehand && distance > 2) path.points.push(point);
+    this.drawPathGhost(path.points, path.freehand ? null : this.snapPathPoint(point));
   }
 
-  addModelToWorld(model) {
-    this.objects.push(model);
-    const body = this.buildBody(model);
-    World.add(this.engine.world, body);
-    this.bodyMap.set(model.id, body);
+  cancelCustomPath() {
+    this.customPath = null;
+    this.guides = [];
+    this.clearGhost();
   }
 
-  buildBody(model) {
-    const opts = {
-      restitution: model.physics.restitution,
-      friction: model.physics.friction,
-      frictionAir: model.physics.frictionAir,
-      frictionStatic: model.physics.frictionStatic,
-      density: model.physics.density,
-      isStatic: model.bodyType === 'static',
-      isSensor: model.bodyType === 'sensor',
-      render: this.renderOptionsFor(model.visual)
-    };
-    let body;
-    const { shape } = model;
-    if (shape.type === 'circle') {
-      body = Bodies.circle(model.position.x, model.position.y, shape.radius, opts);
-    } else if (shape.type === 'rectangle') {
-      body = Bodies.rectangle(model.position.x, model.position.y, shape.width, shape.height, opts);
-    } else {
-      const sides = Math.max(3, shape.sides || 5);
-      body = Bodies.polygon(model.position.x, model.position.y, sides, shape.radius, opts);
+  finishCustomPath() {
+    const { points, freehand } = this.customPath;
+    this.cancelCustomPath();
+    const { zoom } = this.camera;
+    let outline = simplifyPath(points, freehand ? FREEHAND_TOLERANCE / zoom : 0);
+    const gap = Math.hypot(outline[0].x - outline[outline.length - 1].x, outline[0].y - outline[outline.length - 1].y);
+    if (outline.length > 3 && gap <= PATH_CLOSE_RADIUS / zoom) {
+      outline = outline.slice(0, -1);
     }
-    if (model.angle) Body.setAngle(body, model.angle);
-    body.plugin = { modelId: model.id, locked: model.locked };
-    return body;
-  }
-
-  renderOptionsFor(visual) {
-    const base = {
-      fillStyle: visual.fill,
-      strokeStyle: visual.stroke,
-      lineWidth: visual.strokeWidth,
-      opacity: visual.opacity
-    };
-    if (visual.renderMode === 'outline') {
-      base.fillStyle = 'transparent';
+    if (outline.length < 3 || Math.abs(Vertices.area(outline, true)) < MIN_CUSTOM_AREA) {
+      this.showHint('Shape too small • draw a larger outline');
+      return;
     }
-    if (visual.renderMode === 'gradient') {
-      base.fillStyle = this.gradientFor(visual);
+    if (!decomp.isSimple(outline.map((p) => [p.x, p.y]))) {
+      outline = Vertices.hull(outline.map((p) => ({ ...p })));
+      this.showHint('Outline crossed itself • used its convex hull instead');
     }
-    return base;
-  }
-
-  gradientFor(visual) {
+    const { centre, vertices } = centredOutline(outline);
+    const model = this.createModel({
+      position: { x: centre.x, y: centre.y },
+      shape: { type: 'vertices', vertices },
+      bodyType: 'dynamic'
+    });
+    this.addModelToWorld(model);
+    this.commitHistory('Add custom shape');
+    this.handleSelection(model.id);
+  }
+
+  drawPathGhost(points, cursor) {
+    const ctx = this.ghostContext();
+    ctx.strokeStyle = 'rgba(34,211,238,0.8)';
+    ctx.fillStyle = 'rgba(34,211,238,0.8)';
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    if (cursor) ctx.lineTo(cursor.x, cursor.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(points[0].x, points[0].y, (points.length >= 3 ? PATH_CLOSE_RADIUS / 2 : 3) / this.camera.zoom, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  drawLinkGhost(anchor, current) {
+    const ctx = this.ghostContext();
+    ctx.strokeStyle = 'rgba(34,211,238,0.8)';
+    ctx.fillStyle = 'rgba(34,211,238,0.8)';
+    ctx.beginPath();
+    ctx.moveTo(anchor.x, anchor.y);
+    ctx.lineTo(current.x, current.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(anchor.x, anchor.y, 4 / this.camera.zoom, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  ghostContext() {
+    this.clearGhost();
+    const ctx = this.ghostCtx;
+    const { x, y, zoom } = this.camera;
+    ctx.save();
+    ctx.setTransform(zoom, 0, 0, zoom, -x * zoom, -y * zoom);
+    ctx.setLineDash([6 / zoom, 8 / zoom]);
+    ctx.lineWidth = 2 / zoom;
+    return ctx;
+  }
+
+  clearGhost() {
+    this.ghostCtx.clearRect(0, 0, this.ghostCanvas.width, this.ghostCanvas.height);
+    this.drawFields();
+    this.drawGuides();
+    this.drawGizmo();
+  }
+
+  refreshBodyRender(model, body) {
+    const selected = this.selectedIds.includes(model.id);
+    const styled = (visual) => {
+      const options = selected ? { ...visual, strokeWidth: (visual.strokeWidth || 2) + 2, stroke: '#6366f1' } : visual;
+      return this.renderOptionsFor(options);
+    };
+    if (model.shape.type !== 'compound') {
+      this.applyBodyRender(body, styled(model.visual));
+      return;
+    }
+    const visuals = new Map(model.shape.parts.map((part) => [part.id, part.visual]));
+    body.parts.forEach((piece) => {
+      const visual = visuals.get(piece.plugin?.partId);
+      if (visual) piece.render = { ...piece.render, ...styled(visual) };
+    });
+  }
+
+  gradientFor(visual) {
     const c = document.createElement('canvas');
     c.width = c.height = 64;
     const gctx = c.getContext('2d');
@@ -498,12 +2231,22 @@ class Playground {
     } else {
       this.selectedIds = [id];
     }
+    this.selectedLinkId = null;
     this.updateSelectionVisuals();
     this.showInspector();
   }
 
+  selectLink(id) {
+    this.selectedIds = [];
+    this.selectedLinkId = id;
+    this.updateSelectionVisuals();
+    const link = this.links.find((l) => l.id === id);
+    if (link) this.syncLinkInspector(link);
+  }
+
   clearSelection() {
     this.selectedIds = [];
+    this.selectedLinkId = null;
     this.constraintAnchor = null;
     this.updateSelectionVisuals();
     this.inspector.classList.add('hidden');
@@ -512,24 +2255,28 @@ class Playground {
   updateSelectionVisuals() {
     this.bodyMap.forEach((body, id) => {
       const model = this.objects.find((o) => o.id === id);
-      if (!model) return;
-      const visual = { ...model.visual };
-      if (this.selectedIds.includes(id)) {
-        visual.strokeWidth = (visual.strokeWidth || 2) + 2;
-        visual.stroke = '#6366f1';
-      }
-      body.render = { ...body.render, ...this.renderOptionsFor(visual) };
+      if (model) this.refreshBodyRender(model, body);
+    });
+    this.linkMap.forEach((composite, id) => {
+      const link = this.links.find((l) => l.id === id);
+      if (link) this.applyLinkRender(composite, link, id === this.selectedLinkId);
     });
     if (this.selectedIds.length) {
       const primary = this.objects.find((o) => o.id === this.selectedIds[0]);
       this.inspectorTitle.textContent = `${this.selectedIds.length} selected • ${primary?.label || ''}`;
       this.syncInspector(primary);
     }
+    const selectionKey = JSON.stringify([this.selectedIds, this.selectedLinkId]);
+    if (selectionKey !== this.selectionKey) {
+      this.selectionKey = selectionKey;
+      this.emit('selectionchange', { objects: [...this.selectedIds], link: this.selectedLinkId });
+    }
   }
 
   syncInspector(model) {
     if (!model) return;
     this.inspector.classList.remove('hidden');
+    this.setInspectorMode('body');
     this.setActivePill('bodyTypePills', model.bodyType);
     this.setActivePill('shapePills', model.shape.type);
     this.setActivePill('renderModes', model.visual.renderMode);
@@ -552,333 +2299,1526 @@ class Playground {
     document.getElementById('opacity').value = model.visual.opacity;
     document.getElementById('opacityValue').textContent = Number(model.visual.opacity).toFixed(2);
     document.getElementById('lockToggle').checked = model.locked;
+    this.syncPresetPills(model);
+    this.syncTransform(model);
+    this.syncCollision(model);
+    this.renderRules(model);
+    const motor = { ...DEFAULT_MOTOR, ...model.motor };
+    this.setActivePill('motorModePills', motor.mode);
+    document.getElementById('motorSpeedRow').classList.toggle('hidden', !['spin', 'piston', 'conveyor'].includes(motor.mode));
+    document.getElementById('motorTorqueRow').classList.toggle('hidden', motor.mode !== 'torque');
+    document.getElementById('motorAxisRow').classList.toggle('hidden', motor.mode !== 'piston');
+    document.getElementById('motorStrokeRow').classList.toggle('hidden', motor.mode !== 'piston');
+    [
+      ['motorSpeed', motor.speed],
+      ['motorTorque', motor.torque],
+      ['motorAxis', motor.axis],
+      ['motorStroke', motor.stroke]
+    ].forEach(([id, value]) => {
+      document.getElementById(id).value = value;
+      document.getElementById(`${id}Value`).textContent = Number(value).toFixed(2);
+    });
+    const fieldKind = model.field?.kind || 'none';
+    this.setActivePill('fieldKindPills', fieldKind);
+    this.setActivePill('fieldFalloffPills', model.field?.falloff);
+    document.getElementById('fieldFields').classList.toggle('hidden', fieldKind === 'none');
+    document.getElementById('fieldAngleRow').classList.toggle('hidden', fieldKind !== 'wind');
+    document.getElementById('fieldFalloffPills').classList.toggle('hidden', fieldKind === 'wind');
+    document.getElementById('fieldRadiusRow').classList.toggle('hidden', fieldKind !== 'magnet');
+    if (model.field) {
+      [
+        ['fieldStrength', model.field.strength],
+        ['fieldAngle', model.field.angle],
+        ['fieldRadius', model.field.radius]
+      ].forEach(([id, value]) => {
+        document.getElementById(id).value = value;
+        document.getElementById(`${id}Value`).textContent = Number(value).toFixed(2);
+      });
+    }
+    document.getElementById('objectTag').value = model.tag || '';
+    document.getElementById('emitterToggle').checked = Boolean(model.emitter);
+    document.getElementById('emitterFields').classList.toggle('hidden', !model.emitter);
+    if (model.emitter) {
+      const { template, ...emitter } = model.emitter;
+      this.setActivePill('emitterShapePills', template.shape);
+      [
+        ['emitterSize', template.size],
+        ['emitterRate', emitter.rate],
+        ['emitterSpeed', emitter.speed],
+        ['emitterAngle', emitter.angle],
+        ['emitterSpread', emitter.spread],
+        ['emitterMaxAlive', emitter.maxAlive],
+        ['emitterLifetime', emitter.lifetime]
+      ].forEach(([id, value]) => {
+        document.getElementById(id).value = value;
+        document.getElementById(`${id}Value`).textContent = Number(value).toFixed(value < 0.1 ? 3 : 2);
+      });
+    }
+  }
+
+  renderRules(model) {
+    const list = document.getElementById('ruleList');
+    list.replaceChildren();
+    (model.rules || []).forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+      row.dataset.rule = index;
+      const others = Object.fromEntries(
+        this.objects.filter((o) => o.id !== model.id).map((o) => [o.id, `${o.label} ${o.id}`])
+      );
+      const fields = [
+        this.ruleText('When'),
+        this.ruleSelect('with', { any: 'anything', dynamic: 'a dynamic body', static: 'a static body', sensor: 'a sensor', ...others }, rule.with),
+        this.ruleSelect('trigger', RULE_TRIGGERS, rule.trigger),
+        this.ruleText('→'),
+        this.ruleSelect('action', Object.fromEntries(Object.entries(RULE_ACTIONS).map(([key, a]) => [key, a.label])), rule.action)
+      ];
+      if ('target' in RULE_ACTIONS[rule.action].defaults) fields.push(this.ruleSelect('target', RULE_SUBJECTS, rule.target));
+      if (rule.action === 'recolor') fields.push(this.ruleInput('color', 'color', rule.color));
+      if (rule.action === 'spawn') {
+        fields.push(this.ruleSelect('preset', Object.fromEntries(Object.keys(SPAWN_PRESETS).map((name) => [name, name])), rule.preset));
+      }
+      if (rule.action === 'impulse') fields.push(this.ruleInput('dx', 'number', rule.dx), this.ruleInput('dy', 'number', rule.dy));
+      if (rule.action === 'counter') {
+        const count = this.ruleText(`× ${this.ruleCounts.get(`${model.id}:${index}`) || 0}`);
+        count.classList.add('rule-count');
+        fields.push(count);
+      }
+      const remove = document.createElement('button');
+      remove.className = 'pill pill-ghost';
+      remove.dataset.action = 'remove-rule';
+      remove.textContent = '✕';
+      fields.push(remove);
+      row.append(...fields);
+      list.appendChild(row);
+    });
+  }
+
+  ruleText(text) {
+    const span = document.createElement('span');
+    span.className = 'muted small';
+    span.textContent = text;
+    return span;
+  }
+
+  ruleSelect(field, options, value) {
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    Object.entries(options).forEach(([key, label]) => select.add(new Option(label, key)));
+    select.value = value;
+    return select;
+  }
+
+  ruleInput(field, type, value) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.dataset.field = field;
+    input.value = value;
+    return input;
+  }
+
+  syncLinkInspector(link) {
+    const kind = LINK_KINDS[link.kind] ? link.kind : 'spring';
+    const options = { ...LINK_KINDS[kind].options, ...link.options };
+    const render = { ...DEFAULT_LINK_RENDER, ...link.render };
+    this.inspector.classList.remove('hidden');
+    this.setInspectorMode('link');
+    this.inspectorTitle.textContent = `${kind} • ${link.a} ↔ ${link.b || 'world'}`;
+    this.setActivePill('linkKindPills', kind);
+    this.setActivePill('linkRenderTypes', render.type);
+    document.getElementById('linkLengthRow').classList.toggle('hidden', kind === 'pin' || kind === 'weld');
+    document.getElementById('linkSegmentsRow').classList.toggle('hidden', kind !== 'chain');
+    document.getElementById('linkSegments').value = link.segments || LINK_KINDS.chain.segments;
+    document.getElementById('linkSegmentsValue').textContent = link.segments || LINK_KINDS.chain.segments;
+    const formatPoint = (p = { x: 0, y: 0 }) => `(${Math.round(p.x)}, ${Math.round(p.y)})`;
+    document.getElementById('linkAnchors').textContent = `A ${formatPoint(link.pointA)} on ${link.a} → B ${formatPoint(link.pointB)} ${
+      link.b ? `on ${link.b}` : 'in world'
+    }`;
+    document.getElementById('linkStiffness').value = options.stiffness;
+    document.getElementById('linkStiffnessValue').textContent = Number(options.stiffness).toFixed(3);
+    document.getElementById('linkDamping').value = options.damping;
+    document.getElementById('linkDampingValue').textContent = Number(options.damping).toFixed(options.damping < 0.1 ? 3 : 2);
+    document.getElementById('linkLength').value = options.length;
+    document.getElementById('linkLengthValue').textContent = Number(options.length).toFixed(2);
+    document.getElementById('linkColor').value = render.color;
+    document.getElementById('linkWidth').value = render.width;
+    document.getElementById('linkWidthValue').textContent = Number(render.width).toFixed(2);
+    document.getElementById('linkVisible').checked = render.visible;
+  }
+
+  setInspectorMode(mode) {
+    this.inspector.querySelectorAll('.body-section').forEach((el) => el.classList.toggle('hidden', mode !== 'body'));
+    document.getElementById('linkSection').classList.toggle('hidden', mode !== 'link');
+  }
+
+  setActivePill(groupId, value) {
+    [...document.getElementById(groupId).children].forEach((btn) => {
+      const candidate = btn.dataset.type || btn.dataset.shape || btn.dataset.render || btn.dataset.kind;
+      btn.classList.toggle('active', candidate === value);
+    });
+  }
+
+  updateToolButtons(activeTool) {
+    document.querySelectorAll('#toolButtons .tool').forEach((btn) => {
+      const tool = btn.dataset.tool;
+      const paletteMatch =
+        btn.classList.contains('has-palette') &&
+        [...btn.querySelectorAll('[data-tool]')].some((chip) => chip.dataset.tool === activeTool);
+      btn.classList.toggle('active', tool === activeTool || paletteMatch);
+    });
+  }
+
+  updatePhysics(patch, preset = null) {
+    if (!this.selectedIds.length) return;
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      model.physics = { ...model.physics, ...patch };
+      tagPreset(model, 'physics', preset);
+      this.rebuildBody(model);
+    });
+    this.commitHistory(
+      preset
+        ? `Apply ${this.presetName(preset)} to ${this.describeObjects()}`
+        : `Change ${describePatch(patch, 'behavior')} on ${this.describeObjects()}`
+    );
+  }
+
+  updateVisual(patch, preset = null) {
+    if (!this.selectedIds.length) return;
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      model.visual = { ...model.visual, ...patch };
+      tagPreset(model, 'visual', preset);
+      if (model.shape.type === 'compound') {
+        model.shape.parts.forEach((part) => {
+          part.visual = { ...part.visual, ...patch };
+        });
+      }
+    });
+    this.updateSelectionVisuals();
+    this.commitHistory(
+      preset
+        ? `Apply ${this.presetName(preset)} to ${this.describeObjects()}`
+        : `Change ${describePatch(patch, 'appearance')} on ${this.describeObjects()}`
+    );
+  }
+
+  updateSelection(patch) {
+    if (!this.selectedIds.length) return;
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      Object.assign(model, patch);
+      this.rebuildBody(model);
+    });
+    this.commitHistory(`Change ${describePatch(patch, 'settings')} on ${this.describeObjects()}`);
+  }
+
+  changeShape(shapeType) {
+    if (!this.selectedIds.length) return;
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model || model.shape.type === 'compound') return;
+      const body = this.bodyMap.get(id);
+      if (!body) return;
+      const bounds = body.bounds;
+      const size = {
+        width: bounds.max.x - bounds.min.x,
+        height: bounds.max.y - bounds.min.y
+      };
+      const radius = Math.max(size.width, size.height) / 2;
+      const newShape = shapeType === 'vertices' ? this.outlineShapeOf(body) : this.shapeDefaults(shapeType, { size, radius });
+      model.shape = { ...newShape };
+      model.label = shapeType;
+      this.rebuildBody(model);
+    });
+    this.commitHistory(`Change shape of ${this.describeObjects()}`);
+  }
+
+  shapeDefaults(type, dims = { size: { width: 90, height: 60 }, radius: 48 }) {
+    if (type === 'circle') return { type, radius: dims.radius };
+    if (type === 'polygon') return { type, sides: 5, radius: dims.radius };
+    return { type: 'rectangle', width: dims.size.width, height: dims.size.height };
+  }
+
+  outlineShapeOf(body) {
+    const vertices = body.vertices.map((v) => {
+      const local = Vector.rotate(Vector.sub(v, body.position), -body.angle);
+      return { x: Math.round(local.x * 100) / 100, y: Math.round(local.y * 100) / 100 };
+    });
+    return { type: 'vertices', vertices };
+  }
+
+  syncTransform(model) {
+    const { shape } = model;
+    const size = shape.type === 'vertices' ? Bounds.create(shape.vertices) : null;
+    const fields = {
+      transformX: roundTo(model.position.x, 1),
+      transformY: roundTo(model.position.y, 1),
+      transformAngle: roundTo((((model.angle || 0) * 180) / Math.PI) % 360, 1),
+      transformWidth: roundTo(size ? size.max.x - size.min.x : shape.width || 0, 1),
+      transformHeight: roundTo(size ? size.max.y - size.min.y : shape.height || 0, 1),
+      transformRadius: roundTo(shape.radius || 0, 1)
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      document.getElementById(id).value = value;
+    });
+    const boxed = shape.type === 'rectangle' || shape.type === 'vertices';
+    document.getElementById('transformWidthRow').classList.toggle('hidden', !boxed);
+    document.getElementById('transformHeightRow').classList.toggle('hidden', !boxed);
+    document.getElementById('transformRadiusRow').classList.toggle('hidden', shape.type !== 'circle' && shape.type !== 'polygon');
+  }
+
+  syncCollision(model) {
+    const select = document.getElementById('collisionLayer');
+    select.replaceChildren(
+      ...this.worldSettings.layers.map((layer, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `${i + 1} • ${layer.name}`;
+        return option;
+      })
+    );
+    select.value = Math.min(model.collision?.layer || 0, this.worldSettings.layers.length - 1);
+    document.getElementById('collisionGroup').value = model.collision?.group || 0;
+  }
+
+  updateCollision(patch) {
+    if (!this.selectedIds.length) return;
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      model.collision = { ...model.collision, ...patch };
+      this.applyCollisionFilter(model);
+    });
+    this.commitHistory(`Change ${describePatch(patch, 'collision')} on ${this.describeObjects()}`);
+  }
+
+  updateTransform(patch) {
+    if (!this.selectedIds.length) return;
+    const primary = this.objects.find((o) => o.id === this.selectedIds[0]);
+    if (!primary) return;
+    const delta = {
+      x: patch.x === undefined ? 0 : patch.x - primary.position.x,
+      y: patch.y === undefined ? 0 : patch.y - primary.position.y
+    };
+    const angle = patch.angle === undefined ? undefined : this.snapping.angle ? snapValue(patch.angle, ANGLE_SNAP) : patch.angle;
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model || !this.bodyMap.has(id)) return;
+      model.position = { x: model.position.x + delta.x, y: model.position.y + delta.y };
+      if (angle !== undefined) model.angle = (angle * Math.PI) / 180;
+      model.shape = resizedShape(model.shape, patch);
+      this.rebuildBody(model);
+      const rebuilt = this.bodyMap.get(id);
+      if (this.mode === 'edit') {
+        Body.setPosition(rebuilt, model.position);
+        Body.setAngle(rebuilt, model.angle || 0);
+      } else {
+        Body.setPosition(rebuilt, Vector.add(rebuilt.position, delta));
+        if (angle !== undefined) Body.setAngle(rebuilt, model.angle);
+      }
+      this.refreshLinksFor(id);
+    });
+    this.commitHistory(`${'angle' in patch ? 'Rotate' : 'x' in patch || 'y' in patch ? 'Move' : 'Resize'} ${this.describeObjects()}`);
+    this.showInspector();
+  }
+
+  changePolygonSides(sides) {
+    if (!this.selectedIds.length) return;
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (model && model.shape.type === 'polygon') {
+        model.shape.sides = sides;
+        this.rebuildBody(model);
+      }
+    });
+    this.commitHistory(`Change sides on ${this.describeObjects()}`);
+  }
+
+  toggleLock(lock) {
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (model) {
+        model.locked = lock;
+        const body = this.bodyMap.get(id);
+        if (body) body.plugin.locked = lock;
+      }
+    });
+    this.updateSelectionVisuals();
+    this.commitHistory(`${lock ? 'Lock' : 'Unlock'} ${this.describeObjects()}`);
+  }
+
+  addRule() {
+    const model = this.objects.find((o) => o.id === this.selectedIds[0]);
+    if (!model) return;
+    model.rules = [...(model.rules || []), { trigger: 'enter', with: 'any', action: 'recolor', ...RULE_ACTIONS.recolor.defaults }];
+    this.commitHistory(`Add rule to ${this.describeObjects()}`);
+    this.renderRules(model);
+  }
+
+  updateRule(index, patch) {
+    const model = this.objects.find((o) => o.id === this.selectedIds[0]);
+    const rule = model?.rules?.[index];
+    if (!rule) return;
+    model.rules[index] =
+      patch.action && patch.action !== rule.action
+        ? { trigger: rule.trigger, with: rule.with, action: patch.action, ...RULE_ACTIONS[patch.action].defaults }
+        : { ...rule, ...patch };
+    this.commitHistory(`Edit rule on ${this.describeObjects()}`);
+    this.renderRules(model);
+  }
+
+  removeRule(index) {
+    const model = this.objects.find((o) => o.id === this.selectedIds[0]);
+    if (!model?.rules?.[index]) return;
+    model.rules = model.rules.filter((_, i) => i !== index);
+    this.commitHistory(`Remove rule from ${this.describeObjects()}`);
+    this.renderRules(model);
+  }
+
+  runRuleAction(entry) {
+    super.runRuleAction(entry);
+    const { model, index, rule } = entry;
+    if (rule.action !== 'counter' || this.selectedIds[0] !== model.id) return;
+    const label = document.querySelector(`#ruleList [data-rule="${index}"] .rule-count`);
+    if (label) label.textContent = `× ${this.ruleCounts.get(`${model.id}:${index}`)}`;
+  }
+
+  updateMotor(patch) {
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      const motor = { ...DEFAULT_MOTOR, ...model.motor, ...patch };
+      if (motor.mode === 'off') delete model.motor;
+      else model.motor = motor;
+      if (motor.mode === 'conveyor' && model.bodyType !== 'static') {
+        this.showHint('Conveyors run on static bodies • set the type to Static');
+      }
+      this.rebuildBody(model);
+    });
+    this.commitHistory(`Change motor on ${this.describeObjects()}`);
+  }
+
+  setFieldKind(kind) {
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      if (kind === 'none') delete model.field;
+      else model.field = { ...DEFAULT_FIELD, ...model.field, kind };
+      this.rebuildBody(model);
+    });
+    this.commitHistory(`Change field on ${this.describeObjects()}`);
+  }
+
+  updateField(patch) {
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (model?.field) model.field = { ...model.field, ...patch };
+    });
+    this.commitHistory(`Change field on ${this.describeObjects()}`);
+  }
+
+  updateTag(tag) {
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      if (tag.trim()) model.tag = tag.trim();
+      else delete model.tag;
+    });
+    this.commitHistory(`Change tag on ${this.describeObjects()}`);
+  }
+
+  drawFields() {
+    const fields = this.objects.filter((model) => model.field && this.bodyMap.has(model.id));
+    if (!fields.length) return;
+    const ctx = this.ghostCtx;
+    const { x, y, zoom } = this.camera;
+    ctx.save();
+    ctx.setTransform(zoom, 0, 0, zoom, -x * zoom, -y * zoom);
+    fields.forEach((model) => {
+      const body = this.bodyMap.get(model.id);
+      const { kind, angle, radius } = model.field;
+      const selected = this.selectedIds.includes(model.id);
+      ctx.fillStyle = model.visual.fill;
+      ctx.strokeStyle = model.visual.fill;
+      ctx.lineWidth = (selected ? 3 : 1.5) / zoom;
+      ctx.beginPath();
+      if (kind === 'magnet') {
+        ctx.arc(body.position.x, body.position.y, radius, 0, Math.PI * 2);
+      } else {
+        body.vertices.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y)));
+        ctx.closePath();
+      }
+      ctx.globalAlpha = 0.16;
+      ctx.fill();
+      ctx.globalAlpha = selected ? 0.9 : 0.45;
+      ctx.stroke();
+      ctx.beginPath();
+      if (kind === 'wind') {
+        const direction = (angle * Math.PI) / 180;
+        const tip = { x: Math.cos(direction) * 14, y: Math.sin(direction) * 14 };
+        for (let ax = body.bounds.min.x + FIELD_ARROW_SPACING / 2; ax < body.bounds.max.x; ax += FIELD_ARROW_SPACING) {
+          for (let ay = body.bounds.min.y + FIELD_ARROW_SPACING / 2; ay < body.bounds.max.y; ay += FIELD_ARROW_SPACING) {
+            if (!this.insideRegion(body, { x: ax, y: ay })) continue;
+            ctx.moveTo(ax - tip.x, ay - tip.y);
+            ctx.lineTo(ax + tip.x, ay + tip.y);
+            ctx.lineTo(ax + tip.x - Math.cos(direction - 0.5) * 8, ay + tip.y - Math.sin(direction - 0.5) * 8);
+            ctx.moveTo(ax + tip.x, ay + tip.y);
+            ctx.lineTo(ax + tip.x - Math.cos(direction + 0.5) * 8, ay + tip.y - Math.sin(direction + 0.5) * 8);
+          }
+        }
+      } else {
+        const reach = kind === 'magnet' ? radius : (body.bounds.max.x - body.bounds.min.x) / 2;
+        const inward = kind !== 'repel';
+        for (let i = 0; i < 8; i++) {
+          const direction = (i / 8) * Math.PI * 2;
+          const unit = { x: Math.cos(direction), y: Math.sin(direction) };
+          const from = Vector.add(body.position, Vector.mult(unit, reach * (inward ? 0.8 : 0.4)));
+          const to = Vector.add(body.position, Vector.mult(unit, reach * (inward ? 0.4 : 0.8)));
+          ctx.moveTo(from.x, from.y);
+          ctx.lineTo(to.x, to.y);
+        }
+      }
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  toggleEmitter(enabled) {
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model) return;
+      if (!enabled) delete model.emitter;
+      else if (!model.emitter) model.emitter = structuredClone(DEFAULT_EMITTER);
+    });
+    this.updateSelectionVisuals();
+    this.commitHistory(`${enabled ? 'Add' : 'Remove'} emitter on ${this.describeObjects()}`);
+  }
+
+  updateEmitter(patch) {
+    this.selectedIds.forEach((id) => {
+      const model = this.objects.find((o) => o.id === id);
+      if (!model?.emitter) return;
+      model.emitter = { ...model.emitter, ...patch, template: { ...model.emitter.template, ...patch.template } };
+    });
+    this.commitHistory(`Change emitter on ${this.describeObjects()}`);
+  }
+
+  handleConstraintPoint(body, point) {
+    const id = body?.plugin?.modelId || null;
+    const anchor = { id, point: this.snapAnchor(body, point) };
+    if (!this.constraintAnchor) {
+      this.constraintAnchor = anchor;
+      this.showHint(id ? 'Choose another object, or empty space to pin to the world' : 'Choose an object to pin here');
+      return;
+    }
+    const first = this.constraintAnchor;
+    this.constraintAnchor = null;
+    this.clearGhost();
+    if (!first.id && !anchor.id) {
+      this.showHint('Pick at least one object to link');
+      return;
+    }
+    if (first.id === anchor.id) {
+      this.showHint('Pick a different object to connect');
+      return;
+    }
+    const [from, to] = first.id ? [first, anchor] : [anchor, first];
+    this.createLink(from, to, this.linkKind);
+    this.commitHistory(`Add ${this.linkKind} link`);
+    this.showHint(to.id ? 'Constraint added • drag to feel it' : 'Pinned to the world • simulate to swing it');
+  }
+
+  snapAnchor(body, point) {
+    if (!body) return { ...point };
+    const distance = Math.hypot(point.x - body.position.x, point.y - body.position.y);
+    return distance <= ANCHOR_SNAP / this.camera.zoom ? { x: body.position.x, y: body.position.y } : { ...point };
+  }
+
+  attachLink(link) {
+    super.attachLink(link);
+    const composite = this.linkMap.get(link.id);
+    if (composite && link.id === this.selectedLinkId) this.applyLinkRender(composite, link, true);
+  }
+
+  updateLink(optionsPatch, renderPatch = {}) {
+    const link = this.links.find((l) => l.id === this.selectedLinkId);
+    if (!link) return;
+    link.options = { ...LINK_KINDS[link.kind || 'spring']?.options, ...link.options, ...optionsPatch };
+    link.render = { ...DEFAULT_LINK_RENDER, ...link.render, ...renderPatch };
+    if (link.kind === 'chain' && ('length' in optionsPatch || 'segments' in optionsPatch)) {
+      if ('segments' in optionsPatch) {
+        link.segments = optionsPatch.segments;
+        delete link.options.segments;
+      }
+      this.reattachLink(link);
+    } else {
+      const composite = this.linkMap.get(link.id);
+      if (composite) {
+        composite.constraints.forEach((constraint) => {
+          if ('stiffness' in optionsPatch) constraint.stiffness = optionsPatch.stiffness;
+          if ('damping' in optionsPatch) constraint.damping = optionsPatch.damping;
+          if ('length' in optionsPatch && (link.kind || 'spring') === 'spring') constraint.length = optionsPatch.length;
+        });
+        this.applyLinkRender(composite, link, true);
+      }
+    }
+    this.commitHistory(`Change ${link.kind || 'spring'} link`);
+  }
+
+  changeLinkKind(kind) {
+    const link = this.links.find((l) => l.id === this.selectedLinkId);
+    if (!link || !LINK_KINDS[kind] || (link.kind || 'spring') === kind) return;
+    const preset = LINK_KINDS[kind];
+    const composite = this.linkMap.get(link.id);
+    const span = composite ? this.linkSpan(composite) : link.options.length;
+    link.kind = kind;
+    link.options = { ...preset.options, length: kind === 'pin' ? 0 : link.options.length || span };
+    link.render = { ...DEFAULT_LINK_RENDER, ...link.render, type: preset.render.type };
+    if (preset.segments) link.segments = link.segments || preset.segments;
+    else delete link.segments;
+    this.reattachLink(link);
+    this.syncLinkInspector(link);
+    this.commitHistory(`Make link a ${kind}`);
+  }
+
+  linkSpan(composite) {
+    const [first] = composite.constraints;
+    const last = composite.constraints[composite.constraints.length - 1];
+    if (!first) return 0;
+    const [a] = constraintEnds(first);
+    const [, b] = constraintEnds(composite.bodies.length ? last : first);
+    return Vector.magnitude(Vector.sub(b, a));
+  }
+
+  deleteLink(id) {
+    this.removeLink(id);
+    this.clearSelection();
+    this.commitHistory('Delete link');
+  }
+
+  getLinkAtPointer(pos) {
+    let closest = null;
+    let closestDistance = LINK_HIT_RADIUS / this.camera.zoom;
+    this.linkMap.forEach((composite, id) => {
+      composite.constraints.forEach((constraint) => {
+        const [a, b] = constraintEnds(constraint);
+        const distance = distanceToSegment(pos, a, b);
+        if (distance <= closestDistance) {
+          closest = id;
+          closestDistance = distance;
+        }
+      });
+    });
+    return closest;
+  }
+
+  resetWorld() {
+    if (this.readOnly) return;
+    this.clearSelection();
+    this.objects = [];
+    this.links = [];
+    this.nextId = 1;
+    this.nextLinkId = 1;
+    this.bodyMap.forEach((body) => World.remove(this.engine.world, body));
+    this.linkMap.forEach((link) => World.remove(this.engine.world, link));
+    this.bodyMap.clear();
+    this.linkMap.clear();
+    this.resetRuntimeState();
+    this.addBounds();
+    this.detachLibraryEntry();
+    this.commitHistory('Clear scene');
+    this.showHint('Clean slate • add shapes to get moving');
+  }
+
+  rebuildBody(model) {
+    super.rebuildBody(model);
+    this.updateSelectionVisuals();
+  }
+
+  handleKey(e) {
+    if (e.code === 'Space' && !isTyping(e)) {
+      e.preventDefault();
+      this.spaceHeld = true;
+      this.appShell.classList.add('can-pan');
+      return;
+    }
+    if ((e.key === ',' || e.key === '.') && !isTyping(e)) {
+      e.preventDefault();
+      if (e.key === ',') this.stepBack();
+      else this.stepForward();
+      return;
+    }
+    if (e.shiftKey && e.code === 'Digit1' && !isTyping(e)) {
+      e.preventDefault();
+      this.zoomToFit();
+      return;
+    }
+    if (e.shiftKey && e.code === 'Digit2' && !isTyping(e)) {
+      e.preventDefault();
+      this.zoomToSelection();
+      return;
+    }
+    if (this.customPath && (e.key === 'Enter' || e.key === 'Escape')) {
+      e.preventDefault();
+      if (e.key === 'Enter') this.finishCustomPath();
+      else this.cancelCustomPath();
+      return;
+    }
+    if (e.key === 'Escape' && !isTyping(e)) {
+      this.clearSelection();
+      return;
+    }
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'a' && !isTyping(e)) {
+      e.preventDefault();
+      this.selectIds(this.objects.map((o) => o.id));
+      return;
+    }
+    if (this.readOnly) return;
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    }
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      if (this.selectedIds.length || this.selectedLinkId) {
+        e.preventDefault();
+        this.deleteSelection();
+      }
+    }
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      this.duplicateSelection();
+    }
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'g') {
+      e.preventDefault();
+      if (e.shiftKey) this.ungroupSelection();
+      else this.groupSelection();
+    }
+  }
+
+  duplicateSelection() {
+    if (!this.selectedIds.length) return;
+    const added = this.insertFragment(this.sceneFragment(this.selectedIds), { x: 20, y: -20 });
+    this.commitHistory(`Duplicate ${this.describeObjects()}`);
+    this.selectIds(added);
+  }
+
+  copySelection(event) {
+    if (isTyping(event) || !this.selectedIds.length) return;
+    event.preventDefault();
+    event.clipboardData.setData('text/plain', JSON.stringify(this.sceneFragment(this.selectedIds)));
+    this.showHint(`Copied ${this.selectedIds.length} object${this.selectedIds.length === 1 ? '' : 's'}`);
+  }
+
+  pasteFragment(event) {
+    if (isTyping(event) || this.readOnly || this.replaying) return;
+    let fragment;
+    try {
+      fragment = JSON.parse(event.clipboardData.getData('text/plain'));
+    } catch (err) {
+      fragment = null;
+    }
+    if (!Array.isArray(fragment?.objects) || !fragment.objects.length) {
+      this.showHint("The clipboard doesn't hold playground objects");
+      return;
+    }
+    event.preventDefault();
+    const xs = fragment.objects.map((o) => o.position?.x);
+    const ys = fragment.objects.map((o) => o.position?.y);
+    const centre = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+    const { bounds } = this.render;
+    const target = Bounds.contains(bounds, this.mouse.position)
+      ? this.mouse.position
+      : { x: (bounds.min.x + bounds.max.x) / 2, y: (bounds.min.y + bounds.max.y) / 2 };
+    let added;
+    try {
+      added = this.insertFragment(fragment, Vector.sub(target, centre));
+    } catch (err) {
+      alert(`Couldn't paste.\n\n${err.message}`);
+      return;
+    }
+    this.commitHistory(`Paste ${added.length} object${added.length === 1 ? '' : 's'}`);
+    this.selectIds(added);
+  }
+
+  deleteSelection() {
+    if (this.selectedLinkId) {
+      this.deleteLink(this.selectedLinkId);
+      return;
+    }
+    if (!this.selectedIds.length) return;
+    const label = `Delete ${this.describeObjects()}`;
+    this.selectedIds.forEach((id) => this.removeObject(id));
+    this.clearSelection();
+    this.commitHistory(label);
+  }
+
+  partsOf(model) {
+    if (model.shape.type !== 'compound') {
+      const { id, label, shape, visual, position, angle } = structuredClone(model);
+      return [{ id, label, shape, visual, position, angle: angle || 0 }];
+    }
+    return model.shape.parts.map((part) => ({
+      id: part.id,
+      label: part.label,
+      shape: structuredClone(part.shape),
+      visual: { ...part.visual },
+      position: Vector.add(model.position, Vector.rotate(part.offset, model.angle || 0)),
+      angle: (model.angle || 0) + (part.angle || 0)
+    }));
+  }
+
+  reassignGroupLinks(group) {
+    this.links.forEach((link) => {
+      ['a', 'b'].forEach((end) => {
+        if (link[end] !== group.id) return;
+        const key = end === 'a' ? 'pointA' : 'pointB';
+        const point = link[key] || { x: 0, y: 0 };
+        const nearest = group.shape.parts.reduce((best, part) =>
+          Vector.magnitude(Vector.sub(point, part.offset)) < Vector.magnitude(Vector.sub(point, best.offset)) ? part : best
+        );
+        const local = Vector.rotate(Vector.sub(point, nearest.offset), -(nearest.angle || 0));
+        link[end] = nearest.id;
+        link[key] = { x: local.x, y: local.y };
+      });
+    });
+  }
+
+  groupSelection() {
+    const models = this.selectedIds.map((id) => this.objects.find((o) => o.id === id)).filter(Boolean);
+    if (models.length < 2) {
+      this.showHint('Select two or more objects to group');
+      return;
+    }
+    const [primary] = models;
+    models.filter((model) => model.shape.type === 'compound').forEach((model) => this.reassignGroupLinks(model));
+    const members = models.flatMap((model) => this.partsOf(model));
+    const centre = {
+      x: members.reduce((sum, part) => sum + part.position.x, 0) / members.length,
+      y: members.reduce((sum, part) => sum + part.position.y, 0) / members.length
+    };
+    const group = {
+      id: `obj-${this.nextId++}`,
+      label: 'group',
+      position: centre,
+      angle: 0,
+      bodyType: primary.bodyType,
+      locked: models.some((model) => model.locked),
+      shape: {
+        type: 'compound',
+        parts: members.map(({ position, ...part }) => ({ ...part, offset: Vector.sub(position, centre) }))
+      },
+      physics: { ...primary.physics },
+      visual: { ...primary.visual },
+      rules: models.flatMap((model) => model.rules || [])
+    };
+    const probe = this.buildCompound(group, this.bodyOptionsFor(group));
+    group.position = { x: probe.position.x, y: probe.position.y };
+    group.shape.parts.forEach((part) => {
+      const offset = Vector.sub(Vector.add(centre, part.offset), group.position);
+      part.offset = { x: offset.x, y: offset.y };
+    });
+    models.forEach((model) => this.removeModelFromWorld(model.id));
+    this.addModelToWorld(group);
+    this.refreshLinksFor(group.id);
+    this.commitHistory(`Group ${models.length} objects`);
+    this.handleSelection(group.id);
+  }
+
+  ungroupSelection() {
+    const groups = this.selectedIds
+      .map((id) => this.objects.find((o) => o.id === id))
+      .filter((model) => model?.shape.type === 'compound');
+    if (!groups.length) {
+      this.showHint('Select a group to ungroup');
+      return;
+    }
+    const newIds = [];
+    groups.forEach((group) => {
+      const body = this.bodyMap.get(group.id);
+      const runtime = this.mode === 'simulate' && body ? this.partsOf({ ...group, position: body.position, angle: body.angle }) : null;
+      this.reassignGroupLinks(group);
+      this.removeModelFromWorld(group.id);
+      this.partsOf(group).forEach((part, i) => {
+        const model = {
+          id: part.id,
+          label: part.label,
+          position: part.position,
+          angle: part.angle,
+          bodyType: group.bodyType,
+          locked: group.locked,
+          shape: part.shape,
+          physics: { ...group.physics },
+          visual: part.visual,
+          rules: structuredClone(group.rules || [])
+        };
+        this.addModelToWorld(model);
+        if (runtime) {
+          const partBody = this.bodyMap.get(model.id);
+          Body.setPosition(partBody, runtime[i].position);
+          Body.setAngle(partBody, runtime[i].angle);
+          Body.setVelocity(partBody, body.velocity);
+        }
+        newIds.push(model.id);
+      });
+    });
+    newIds.forEach((id) => this.refreshLinksFor(id));
+    this.commitHistory(`Ungroup ${groups.length === 1 ? groups[0].label || groups[0].id : `${groups.length} groups`}`);
+    this.selectedIds = newIds;
+    this.updateSelectionVisuals();
+    this.showInspector();
+  }
+
+  getBodyAtPointer(pos) {
+    const bodies = Composite.allBodies(this.engine.world);
+    const found = bodies.filter((b) => Bounds.contains(b.bounds, pos));
+    for (const body of found) {
+      const parts = body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+      if (parts.some((part) => Vertices.contains(part.vertices, pos))) return body;
+    }
+    return null;
+  }
+
+  showInspector() {
+    if (!this.selectedIds.length) return;
+    const model = this.objects.find((o) => o.id === this.selectedIds[0]);
+    if (model) this.syncInspector(model);
+  }
+
+  showHint(text) {
+    if (!this.hint) {
+      this.hint = document.createElement('div');
+      this.hint.className = 'hint';
+      document.querySelector('.canvas-wrapper').appendChild(this.hint);
+    }
+    this.hint.textContent = text;
+  }
+
+  applyRuntime(runtime) {
+    if (this.mode !== 'simulate') {
+      this.mode = 'simulate';
+      this.updateModeUI();
+    }
+    super.applyRuntime(runtime);
+    this.resetTimeline();
+    this.showHint('Runtime snapshot restored • Play to continue, Stop to rewind');
+  }
+
+  commitHistory(label, coalesce = this.sliderDrag) {
+    if (this.replaying || this.readOnly) return;
+    super.commitHistory(label, coalesce);
+    this.scheduleAutosave();
+  }
+
+  scheduleAutosave() {
+    if (!this.autosaveReady) return;
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => this.autosave(), AUTOSAVE_DELAY);
+  }
+
+  async autosave() {
+    const scene = this.historyScene();
+    const updatedAt = Date.now();
+    try {
+      await this.library.saveSession({ scene, entryId: this.libraryEntryId, updatedAt });
+      if (!this.libraryEntryId) return;
+      const entry = await this.library.get(this.libraryEntryId);
+      if (!entry || JSON.stringify(entry.scene) === JSON.stringify(scene)) return;
+      await this.library.put({ ...entry, scene, thumbnail: this.captureThumbnail(), updatedAt });
+    } catch (err) {
+      this.showHint(`Autosave failed: ${err.message}`);
+    }
+  }
+
+  async offerRestore() {
+    if (location.hash.startsWith(SHARE_HASH_PREFIX)) {
+      this.autosaveReady = true;
+      return;
+    }
+    let session;
+    try {
+      session = await this.library.loadSession();
+    } catch (err) {
+      this.showHint('Scene library unavailable • use Save to keep your work');
+      return;
+    }
+    this.autosaveReady = true;
+    if (!session?.scene?.objects?.length) return;
+    this.pendingSession = session;
+    const count = session.scene.objects.length;
+    document.getElementById('restoreText').textContent = `Restore your last session? ${count} object${count === 1 ? '' : 's'}, saved ${new Date(
+      session.updatedAt
+    ).toLocaleString()}.`;
+    document.getElementById('restorePrompt').classList.remove('hidden');
+  }
+
+  restoreSession() {
+    const session = this.pendingSession;
+    document.getElementById('restorePrompt').classList.add('hidden');
+    this.pendingSession = null;
+    if (!session) return;
+    try {
+      const scene = prepareScene(session.scene);
+      this.stopSimulation();
+      this.setReadOnly(false);
+      this.applySnapshot(scene);
+      this.libraryEntryId = session.entryId || null;
+      this.commitHistory('Restore last session');
+      this.showHint('Last session restored');
+    } catch (err) {
+      alert(`Couldn't restore the last session.\n\n${err.message}`);
+    }
+  }
+
+  dismissRestore() {
+    document.getElementById('restorePrompt').classList.add('hidden');
+    this.pendingSession = null;
+    this.scheduleAutosave();
+  }
+
+  captureThumbnail() {
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_SIZE.width;
+    canvas.height = THUMBNAIL_SIZE.height;
+    const source = this.render.canvas;
+    const scale = Math.min(canvas.width / source.width, canvas.height / source.height);
+    const width = source.width * scale;
+    const height = source.height * scale;
+    canvas.getContext('2d').drawImage(source, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+    return canvas.toDataURL('image/png');
+  }
+
+  async showLibrary() {
+    document.getElementById('libraryDialog').classList.remove('hidden');
+    await this.renderLibrary();
+  }
+
+  hideLibrary() {
+    document.getElementById('libraryDialog').classList.add('hidden');
+  }
+
+  async renderLibrary() {
+    const list = document.getElementById('libraryList');
+    let entries;
+    try {
+      entries = await this.library.list();
+    } catch (err) {
+      list.textContent = `The scene library is unavailable: ${err.message}`;
+      return;
+    }
+    const sort = document.getElementById('librarySort').value;
+    entries.sort((a, b) => (sort === 'name' ? a.name.localeCompare(b.name) : b.updatedAt - a.updatedAt));
+    list.replaceChildren();
+    if (!entries.length) {
+      list.textContent = 'No saved scenes yet. Name the current scene and save it above.';
+      return;
+    }
+    entries.forEach((entry) => {
+      const card = document.createElement('div');
+      card.className = 'library-card';
+      card.classList.toggle('active', entry.id === this.libraryEntryId);
+      card.dataset.id = entry.id;
+      const thumb = document.createElement('img');
+      thumb.src = entry.thumbnail;
+      thumb.alt = '';
+      const name = document.createElement('div');
+      name.className = 'library-name';
+      name.textContent = entry.name;
+      const meta = document.createElement('div');
+      meta.className = 'muted small';
+      meta.textContent = `Edited ${new Date(entry.updatedAt).toLocaleString()}`;
+      const actions = document.createElement('div');
+      actions.className = 'pill-row compact';
+      [
+        ['open', 'Open'],
+        ['rename', 'Rename'],
+        ['duplicate', 'Duplicate'],
+        ['delete', 'Delete']
+      ].forEach(([action, label]) => {
+        const btn = document.createElement('button');
+        btn.className = action === 'delete' ? 'pill pill-danger' : 'pill pill-ghost';
+        btn.dataset.library = action;
+        btn.textContent = label;
+        actions.appendChild(btn);
+      });
+      card.append(thumb, name, meta, actions);
+      list.appendChild(card);
+    });
+  }
+
+  libraryId() {
+    return `scene-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  async saveToLibrary() {
+    const input = document.getElementById('librarySceneName');
+    const name = input.value.trim() || `Scene ${new Date().toLocaleString()}`;
+    const now = Date.now();
+    const entry = { id: this.libraryId(), name, scene: this.sceneSnapshot(), thumbnail: this.captureThumbnail(), createdAt: now, updatedAt: now };
+    try {
+      await this.library.put(entry);
+    } catch (err) {
+      alert(`Couldn't save to the library: ${err.message}`);
+      return;
+    }
+    this.libraryEntryId = entry.id;
+    input.value = '';
+    this.scheduleAutosave();
+    this.showHint(`Saved "${name}" to the library`);
+    await this.renderLibrary();
+  }
+
+  async openLibraryScene(id) {
+    let entry;
+    try {
+      entry = await this.library.get(id);
+    } catch (err) {
+      alert(`Couldn't read the library: ${err.message}`);
+      return;
+    }
+    if (!entry) return;
+    let scene;
+    try {
+      scene = prepareScene(entry.scene);
+    } catch (err) {
+      alert(`Couldn't open "${entry.name}".\n\n${err.message}`);
+      return;
+    }
+    this.stopSimulation();
+    this.setReadOnly(false);
+    this.applySnapshot(scene);
+    this.libraryEntryId = id;
+    this.commitHistory(`Open "${entry.name}"`);
+    this.hideLibrary();
+    this.showHint(`Opened "${entry.name}"`);
   }
 
-  setActivePill(groupId, value) {
-    [...document.getElementById(groupId).children].forEach((btn) => {
-      const candidate = btn.dataset.type || btn.dataset.shape || btn.dataset.render;
-      btn.classList.toggle('active', candidate === value);
-    });
+  detachLibraryEntry() {
+    this.libraryEntryId = null;
+    document.querySelectorAll('#libraryList .library-card.active').forEach((card) => card.classList.remove('active'));
   }
 
-  updateToolButtons(activeTool) {
-    document.querySelectorAll('#toolButtons .tool').forEach((btn) => {
-      const tool = btn.dataset.tool;
-      const paletteMatch =
-        btn.classList.contains('has-palette') &&
-        [...btn.querySelectorAll('[data-tool]')].some((chip) => chip.dataset.tool === activeTool);
-      btn.classList.toggle('active', tool === activeTool || paletteMatch);
-    });
+  async loadPresets() {
+    try {
+      this.customPresets = await this.library.listPresets();
+    } catch (err) {
+      this.customPresets = [];
+    }
+    this.customPresets.sort((a, b) => a.name.localeCompare(b.name));
+    this.renderPresetRows();
   }
 
-  updatePhysics(patch) {
-    if (!this.selectedIds.length) return;
-    this.selectedIds.forEach((id) => {
-      const model = this.objects.find((o) => o.id === id);
-      if (!model) return;
-      model.physics = { ...model.physics, ...patch };
-      this.rebuildBody(model);
-    });
-    this.commitHistory();
+  customPreset(id) {
+    return this.customPresets.find((preset) => preset.id === id);
   }
 
-  updateVisual(patch) {
-    if (!this.selectedIds.length) return;
-    this.selectedIds.forEach((id) => {
-      const model = this.objects.find((o) => o.id === id);
-      if (!model) return;
-      model.visual = { ...model.visual, ...patch };
-      const body = this.bodyMap.get(id);
-      if (body) body.render = { ...body.render, ...this.renderOptionsFor(model.visual) };
-    });
-    this.updateSelectionVisuals();
-    this.commitHistory();
+  presetName(id) {
+    return `"${this.customPreset(id)?.name || id}"`;
   }
 
-  updateSelection(patch) {
-    if (!this.selectedIds.length) return;
-    this.selectedIds.forEach((id) => {
-      const model = this.objects.find((o) => o.id === id);
-      if (!model) return;
-      Object.assign(model, patch);
-      this.rebuildBody(model);
+  presetValues(kind, id) {
+    return PRESET_KINDS[kind].builtIn[id] || this.customPresets.find((preset) => preset.kind === kind && preset.id === id)?.values;
+  }
+
+  renderPresetRows() {
+    Object.entries(PRESET_KINDS).forEach(([kind, { row, builtIn }]) => {
+      const container = document.getElementById(row);
+      container.replaceChildren();
+      const entries = [
+        ...Object.keys(builtIn).map((name) => ({ id: name, name })),
+        ...this.customPresets.filter((preset) => preset.kind === kind)
+      ];
+      entries.forEach(({ id, name, values }) => {
+        const btn = document.createElement('button');
+        btn.className = values ? 'pill pill-custom' : 'pill';
+        btn.dataset.preset = id;
+        btn.textContent = name;
+        btn.addEventListener('click', () => this.applyPreset(kind, id));
+        container.appendChild(btn);
+      });
+      const save = document.createElement('button');
+      save.className = 'pill pill-ghost';
+      save.textContent = '+ Save current';
+      save.title = 'Save the selected object\'s settings as a preset';
+      save.addEventListener('click', () => this.savePreset(kind));
+      container.appendChild(save);
     });
-    this.commitHistory();
+    const primary = this.objects.find((o) => o.id === this.selectedIds[0]);
+    if (primary) this.syncPresetPills(primary);
   }
 
-  changeShape(shapeType) {
-    if (!this.selectedIds.length) return;
-    this.selectedIds.forEach((id) => {
-      const model = this.objects.find((o) => o.id === id);
-      if (!model) return;
-      const body = this.bodyMap.get(id);
-      if (!body) return;
-      const bounds = body.bounds;
-      const size = {
-        width: bounds.max.x - bounds.min.x,
-        height: bounds.max.y - bounds.min.y
-      };
-      const radius = Math.max(size.width, size.height) / 2;
-      const newShape = this.shapeDefaults(shapeType, { size, radius });
-      model.shape = { ...newShape };
-      model.position = { x: body.position.x, y: body.position.y };
-      model.label = shapeType;
-      this.rebuildBody(model);
+  syncPresetPills(model) {
+    Object.entries(PRESET_KINDS).forEach(([kind, { row }]) => {
+      [...document.getElementById(row).children].forEach((btn) => {
+        btn.classList.toggle('active', Boolean(btn.dataset.preset) && btn.dataset.preset === model.preset?.[kind]);
+      });
     });
-    this.commitHistory();
   }
 
-  shapeDefaults(type, dims = { size: { width: 90, height: 60 }, radius: 48 }) {
-    if (type === 'circle') return { type, radius: dims.radius };
-    if (type === 'polygon') return { type, sides: 5, radius: dims.radius };
-    return { type: 'rectangle', width: dims.size.width, height: dims.size.height };
+  applyPreset(kind, id) {
+    const values = this.presetValues(kind, id);
+    if (!values || this.readOnly) return;
+    if (kind === 'physics') this.updatePhysics(values, id);
+    else this.updateVisual(values, id);
+    this.showInspector();
   }
 
-  changePolygonSides(sides) {
-    if (!this.selectedIds.length) return;
-    this.selectedIds.forEach((id) => {
-      const model = this.objects.find((o) => o.id === id);
-      if (model && model.shape.type === 'polygon') {
-        model.shape.sides = sides;
-        this.rebuildBody(model);
-      }
-    });
-    this.commitHistory();
+  async savePreset(kind) {
+    const model = this.objects.find((o) => o.id === this.selectedIds[0]);
+    if (!model) return;
+    const name = prompt(`Name this ${PRESET_KINDS[kind].label.toLowerCase()} preset`)?.trim();
+    if (!name) return;
+    const preset = { id: this.presetId(), kind, name, values: structuredClone(model[kind]), updatedAt: Date.now() };
+    try {
+      await this.library.putPreset(preset);
+    } catch (err) {
+      alert(`Couldn't save the preset: ${err.message}`);
+      return;
+    }
+    await this.loadPresets();
+    if (!this.readOnly) {
+      tagPreset(model, kind, preset.id);
+      this.commitHistory(`Save ${model.label || model.id} as preset "${name}"`);
+      this.syncPresetPills(model);
+    }
+    this.renderPresetList();
+    this.showHint(`Saved preset "${name}"`);
   }
 
-  toggleLock(lock) {
-    this.selectedIds.forEach((id) => {
-      const model = this.objects.find((o) => o.id === id);
-      if (model) {
-        model.locked = lock;
-        const body = this.bodyMap.get(id);
-        if (body) body.plugin.locked = lock;
-      }
+  presetId() {
+    return `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  showPresets() {
+    document.getElementById('presetDialog').classList.remove('hidden');
+    this.renderPresetList();
+  }
+
+  hidePresets() {
+    document.getElementById('presetDialog').classList.add('hidden');
+  }
+
+  renderPresetList() {
+    const list = document.getElementById('presetList');
+    list.replaceChildren();
+    if (!this.customPresets.length) {
+      list.textContent = 'No custom presets yet. Select an object and press "+ Save current" under Behavior or Appearance.';
+      return;
+    }
+    this.customPresets.forEach((preset) => {
+      const row = document.createElement('div');
+      row.className = 'preset-row';
+      row.dataset.id = preset.id;
+      const swatch = document.createElement('span');
+      swatch.className = 'preset-swatch';
+      if (preset.kind === 'visual') swatch.style.background = preset.values.fill;
+      else swatch.textContent = '⚙';
+      const name = document.createElement('div');
+      name.className = 'preset-name';
+      name.textContent = preset.name;
+      const users = this.objects.filter((o) => o.preset?.[preset.kind] === preset.id).length;
+      const meta = document.createElement('div');
+      meta.className = 'muted small';
+      meta.textContent = `${PRESET_KINDS[preset.kind].label} • used by ${users} object${users === 1 ? '' : 's'} here`;
+      const actions = document.createElement('div');
+      actions.className = 'pill-row compact';
+      [
+        ['apply', 'Apply'],
+        ['update', 'Update from selection'],
+        ['rename', 'Rename'],
+        ['delete', 'Delete']
+      ].forEach(([action, label]) => {
+        const btn = document.createElement('button');
+        btn.className = action === 'delete' ? 'pill pill-danger' : 'pill pill-ghost';
+        btn.dataset.presetAction = action;
+        btn.textContent = label;
+        actions.appendChild(btn);
+      });
+      const text = document.createElement('div');
+      text.append(name, meta);
+      row.append(swatch, text, actions);
+      list.appendChild(row);
     });
-    this.updateSelectionVisuals();
-    this.commitHistory();
   }
 
-  handleConstraintPoint(body) {
-    if (!body?.plugin?.modelId) return;
-    if (!this.constraintAnchor) {
-      this.constraintAnchor = body;
-      this.showHint('Choose another object to connect');
+  async updatePresetFromSelection(id) {
+    const preset = this.customPreset(id);
+    const model = this.objects.find((o) => o.id === this.selectedIds[0]);
+    if (!preset) return;
+    if (!model) {
+      this.showHint('Select an object to copy its settings into the preset');
       return;
     }
-    const from = this.constraintAnchor.plugin.modelId;
-    const to = body.plugin.modelId;
-    if (from === to) {
-      this.showHint('Pick a different object to connect');
-      this.constraintAnchor = null;
+    const updated = { ...preset, values: structuredClone(model[preset.kind]), updatedAt: Date.now() };
+    try {
+      await this.library.putPreset(updated);
+    } catch (err) {
+      alert(`Couldn't update the preset: ${err.message}`);
       return;
     }
-    this.createLink(from, to);
-    this.constraintAnchor = null;
-    this.commitHistory();
-    this.showHint('Constraint added • drag to feel the spring');
+    await this.loadPresets();
+    this.offerPropagation([updated]);
+    this.renderPresetList();
   }
 
-  createLink(aId, bId) {
-    const bodyA = this.bodyMap.get(aId);
-    const bodyB = this.bodyMap.get(bId);
-    if (!bodyA || !bodyB) return;
-    const length = Math.min(220, Math.hypot(bodyB.position.x - bodyA.position.x, bodyB.position.y - bodyA.position.y));
-    const options = { stiffness: 0.04, damping: 0.02, length };
-    const constraint = Constraint.create({ bodyA, bodyB, ...options });
-    const id = `link-${this.nextLinkId++}`;
-    const link = { id, a: aId, b: bId, options };
-    this.links.push(link);
-    this.linkMap.set(id, constraint);
-    World.add(this.engine.world, constraint);
+  offerPropagation(presets) {
+    if (this.readOnly) return;
+    const used = presets.filter((preset) => this.objects.some((o) => o.preset?.[preset.kind] === preset.id));
+    if (!used.length) return;
+    const names = used.map((preset) => `"${preset.name}"`).join(', ');
+    if (!confirm(`Update every object in this scene that uses ${names} to the new settings?`)) return;
+    used.forEach((preset) => this.propagatePreset(preset));
   }
 
-  attachLink(link) {
-    const bodyA = this.bodyMap.get(link.a);
-    const bodyB = this.bodyMap.get(link.b);
-    if (!bodyA || !bodyB) return;
-    const constraint = Constraint.create({ bodyA, bodyB, ...(link.options || {}) });
-    this.linkMap.set(link.id, constraint);
-    World.add(this.engine.world, constraint);
+  propagatePreset({ id, kind, name, values }) {
+    const models = this.objects.filter((o) => o.preset?.[kind] === id);
+    if (!models.length) return;
+    models.forEach((model) => {
+      model[kind] = { ...model[kind], ...values };
+      if (kind === 'visual' && model.shape.type === 'compound') {
+        model.shape.parts.forEach((part) => {
+          part.visual = { ...part.visual, ...values };
+        });
+      }
+      if (kind === 'physics') this.rebuildBody(model);
+    });
+    this.updateSelectionVisuals();
+    this.commitHistory(`Update objects using "${name}"`);
+    this.showInspector();
   }
 
-  refreshLinksFor(modelId) {
-    this.links.forEach((link) => {
-      if (link.a === modelId || link.b === modelId) {
-        const existing = this.linkMap.get(link.id);
-        if (existing) World.remove(this.engine.world, existing);
-        this.attachLink(link);
-      }
+  async renamePreset(id) {
+    const preset = this.customPreset(id);
+    const name = preset && prompt('Rename preset', preset.name)?.trim();
+    if (!name) return;
+    try {
+      await this.library.putPreset({ ...preset, name, updatedAt: Date.now() });
+    } catch (err) {
+      alert(`Couldn't rename the preset: ${err.message}`);
+      return;
+    }
+    await this.loadPresets();
+    this.renderPresetList();
+  }
+
+  async deletePreset(id) {
+    const preset = this.customPreset(id);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"? Objects keep their current settings.`)) return;
+    try {
+      await this.library.removePreset(id);
+    } catch (err) {
+      alert(`Couldn't delete the preset: ${err.message}`);
+      return;
+    }
+    await this.loadPresets();
+    this.renderPresetList();
+  }
+
+  exportPresets() {
+    if (!this.customPresets.length) {
+      this.showHint('No custom presets to export yet');
+      return;
+    }
+    downloadJSON('presets.json', {
+      version: PRESET_PACK_VERSION,
+      presets: this.customPresets.map(({ id, kind, name, values }) => ({ id, kind, name, values }))
     });
   }
 
-  removeLinksFor(modelId) {
-    const remaining = [];
-    this.links.forEach((link) => {
-      if (link.a === modelId || link.b === modelId) {
-        const existing = this.linkMap.get(link.id);
-        if (existing) World.remove(this.engine.world, existing);
-        this.linkMap.delete(link.id);
-      } else {
-        remaining.push(link);
+  importPresets(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async () => {
+      let presets;
+      try {
+        presets = this.preparePresetPack(JSON.parse(reader.result));
+      } catch (err) {
+        alert(`Couldn't import "${file.name}".\n\n${err.message}`);
+        return;
       }
-    });
-    this.links = remaining;
+      const now = Date.now();
+      try {
+        await Promise.all(presets.map((preset) => this.library.putPreset({ ...preset, updatedAt: now })));
+      } catch (err) {
+        alert(`Couldn't save the imported presets: ${err.message}`);
+        return;
+      }
+      await this.loadPresets();
+      this.renderPresetList();
+      this.showHint(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}`);
+      this.offerPropagation(presets);
+    };
+    reader.readAsText(file);
   }
 
-  resetWorld() {
-    this.clearSelection();
-    this.objects = [];
-    this.links = [];
-    this.nextId = 1;
-    this.nextLinkId = 1;
-    this.bodyMap.forEach((body) => World.remove(this.engine.world, body));
-    this.linkMap.forEach((link) => World.remove(this.engine.world, link));
-    this.bodyMap.clear();
-    this.linkMap.clear();
-    this.addBounds();
-    this.commitHistory();
-    this.showHint('Clean slate • add shapes to get moving');
+  preparePresetPack(pack) {
+    if (!Array.isArray(pack?.presets)) throw new Error('The file does not contain a preset pack.');
+    if (pack.version > PRESET_PACK_VERSION) throw new Error(`Preset pack version ${pack.version} is newer than this playground supports.`);
+    const problems = [];
+    const presets = pack.presets.map((preset, i) => {
+      const path = `presets[${i}]`;
+      const kind = PRESET_KINDS[preset?.kind];
+      if (!kind) problems.push(`${path}.kind must be one of ${Object.keys(PRESET_KINDS).join(', ')}`);
+      if (typeof preset?.name !== 'string' || !preset.name.trim()) problems.push(`${path}.name must be a non-empty string`);
+      kind?.validate(problems, `${path}.values`, preset?.values);
+      return {
+        id: typeof preset?.id === 'string' && preset.id && !Object.hasOwn(kind?.builtIn || {}, preset.id) ? preset.id : this.presetId(),
+        kind: preset?.kind,
+        name: preset?.name?.trim(),
+        values: preset?.values
+      };
+    });
+    if (problems.length) throw new Error(problems.map((problem) => `• ${problem}`).join('\n'));
+    return presets;
   }
 
-  rebuildBody(model) {
-    const existing = this.bodyMap.get(model.id);
-    if (!existing) return;
-    const state = {
-      position: { ...existing.position },
-      velocity: { ...existing.velocity },
-      angularVelocity: existing.angularVelocity,
-      angle: existing.angle
-    };
-    World.remove(this.engine.world, existing);
-    const body = this.buildBody(model);
-    Body.setPosition(body, state.position);
-    Body.setVelocity(body, state.velocity);
-    Body.setAngularVelocity(body, state.angularVelocity);
-    Body.setAngle(body, state.angle);
-    World.add(this.engine.world, body);
-    this.bodyMap.set(model.id, body);
-    this.refreshLinksFor(model.id);
-    this.updateSelectionVisuals();
+  async renameLibraryScene(id) {
+    try {
+      const entry = await this.library.get(id);
+      const name = entry && prompt('Rename scene', entry.name)?.trim();
+      if (!name) return;
+      await this.library.put({ ...entry, name, updatedAt: Date.now() });
+    } catch (err) {
+      alert(`Couldn't rename the scene: ${err.message}`);
+      return;
+    }
+    await this.renderLibrary();
   }
 
-  handleKey(e) {
-    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'z') {
-      e.preventDefault();
-      if (e.shiftKey) this.redo();
-      else this.undo();
+  async duplicateLibraryScene(id) {
+    try {
+      const entry = await this.library.get(id);
+      if (!entry) return;
+      const now = Date.now();
+      await this.library.put({ ...entry, id: this.libraryId(), name: `${entry.name} copy`, createdAt: now, updatedAt: now });
+    } catch (err) {
+      alert(`Couldn't duplicate the scene: ${err.message}`);
+      return;
     }
-    if (e.key === 'Delete' || e.key === 'Backspace') {
-      if (this.selectedIds.length) {
-        e.preventDefault();
-        this.deleteSelection();
+    await this.renderLibrary();
+  }
+
+  async shareLink() {
+    const payload = await compressText(compactJSON(this.sceneSnapshot()));
+    const url = `${location.origin}${location.pathname}${location.search}${SHARE_HASH_PREFIX}${payload}`;
+    if (url.length > SHARE_URL_LIMIT) {
+      const size = `${(url.length / 1024).toFixed(1)} KB`;
+      if (confirm(`This scene is too large for a link (${size}, limit ${SHARE_URL_LIMIT / 1000} KB). Download it as a JSON file instead?`)) {
+        downloadJSON('scene.json', this.sceneSnapshot());
       }
+      return;
     }
-    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'd') {
-      e.preventDefault();
-      this.duplicateSelection();
+    try {
+      await navigator.clipboard.writeText(url);
+      this.showHint('Share link copied • anyone opening it gets a read-only copy');
+    } catch (err) {
+      prompt('Copy this share link', url);
     }
   }
 
-  duplicateSelection() {
-    if (!this.selectedIds.length) return;
-    const newIds = [];
-    this.selectedIds.forEach((id) => {
-      const model = this.objects.find((o) => o.id === id);
-      if (!model) return;
-      const clone = structuredClone(model);
-      clone.id = `obj-${this.nextId++}`;
-      clone.position = { x: model.position.x + 20, y: model.position.y - 20 };
-      this.objects.push(clone);
-      const body = this.buildBody(clone);
-      World.add(this.engine.world, body);
-      this.bodyMap.set(clone.id, body);
-      newIds.push(clone.id);
-    });
-    this.commitHistory();
-    if (newIds.length) this.handleSelection(newIds[0]);
+  async loadSharedScene() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return false;
+    try {
+      const text = await decompressText(location.hash.slice(SHARE_HASH_PREFIX.length));
+      const scene = prepareScene(JSON.parse(text));
+      this.setReadOnly(true);
+      this.applySnapshot(scene);
+      this.zoomToFit();
+      this.showHint('Viewing a shared scene • read-only until you fork it');
+      return true;
+    } catch (err) {
+      alert(`Couldn't open the shared link.\n\n${err.message}`);
+      return false;
+    }
   }
 
-  deleteSelection() {
-    if (!this.selectedIds.length) return;
-    this.selectedIds.forEach((id) => {
-      const body = this.bodyMap.get(id);
-      if (body) World.remove(this.engine.world, body);
-      this.bodyMap.delete(id);
-      this.objects = this.objects.filter((o) => o.id !== id);
-      this.removeLinksFor(id);
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    this.appShell.classList.toggle('read-only', readOnly);
+    document.getElementById('sharedBanner').classList.toggle('hidden', !readOnly);
+    ['worldSettings', 'resetWorldBtn', 'loadRecordingInput'].forEach((id) => {
+      document.getElementById(id).disabled = readOnly;
     });
-    this.clearSelection();
-    this.commitHistory();
-  }
-
-  getBodyAtPointer(pos) {
-    const bodies = Composite.allBodies(this.engine.world);
-    const found = bodies.filter((b) => Bounds.contains(b.bounds, pos));
-    for (const body of found) {
-      if (Vertices.contains(body.vertices, pos)) return body;
+    if (readOnly) {
+      this.tool = 'select';
+      this.updateToolButtons('select');
     }
-    return null;
   }
 
-  showInspector() {
-    if (!this.selectedIds.length) return;
-    const model = this.objects.find((o) => o.id === this.selectedIds[0]);
-    if (model) this.syncInspector(model);
+  forkScene() {
+    if (!this.readOnly) return;
+    this.setReadOnly(false);
+    this.detachLibraryEntry();
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
+    this.commitHistory('Fork shared scene');
+    this.showHint('Forked • this copy is yours to edit');
   }
 
-  showHint(text) {
-    if (!this.hint) {
-      this.hint = document.createElement('div');
-      this.hint.className = 'hint';
-      document.querySelector('.canvas-wrapper').appendChild(this.hint);
+  async deleteLibraryScene(id) {
+    try {
+      const entry = await this.library.get(id);
+      if (!entry || !confirm(`Delete "${entry.name}" from the library?`)) return;
+      await this.library.remove(id);
+    } catch (err) {
+      alert(`Couldn't delete the scene: ${err.message}`);
+      return;
     }
-    this.hint.textContent = text;
-  }
-
-  commitHistory() {
-    this.syncModelTransforms();
-    const snapshot = JSON.parse(JSON.stringify({ objects: this.objects, links: this.links, nextId: this.nextId, nextLinkId: this.nextLinkId }));
-    this.history = this.history.slice(0, this.historyIndex + 1);
-    this.history.push(snapshot);
-    this.historyIndex = this.history.length - 1;
+    if (this.libraryEntryId === id) this.libraryEntryId = null;
+    await this.renderLibrary();
   }
 
   applySnapshot(snapshot) {
-    this.objects = JSON.parse(JSON.stringify(snapshot.objects));
-    this.links = JSON.parse(JSON.stringify(snapshot.links || []));
-    this.nextId = snapshot.nextId;
-    this.nextLinkId = snapshot.nextLinkId || this.inferNextLinkId(this.links);
     this.selectedIds = [];
-    this.bodyMap.forEach((body) => World.remove(this.engine.world, body));
-    this.linkMap.forEach((link) => World.remove(this.engine.world, link));
-    this.bodyMap.clear();
-    this.linkMap.clear();
-    this.objects.forEach((model) => {
-      const body = this.buildBody(model);
-      World.add(this.engine.world, body);
-      this.bodyMap.set(model.id, body);
-    });
-    this.links.forEach((link) => this.attachLink(link));
+    this.selectedLinkId = null;
+    super.applySnapshot(snapshot);
     this.updateSelectionVisuals();
   }
 
-  undo() {
-    if (this.historyIndex <= 0) return;
-    this.historyIndex -= 1;
-    this.applySnapshot(this.history[this.historyIndex]);
+  goToHistory(index) {
+    if (!this.readOnly) super.goToHistory(index);
   }
 
-  redo() {
-    if (this.historyIndex >= this.history.length - 1) return;
-    this.historyIndex += 1;
-    this.applySnapshot(this.history[this.historyIndex]);
+  describeObjects(ids = this.selectedIds) {
+    if (ids.length !== 1) return `${ids.length} objects`;
+    const model = this.objects.find((o) => o.id === ids[0]);
+    return model?.label || ids[0];
+  }
+
+  renderHistory() {
+    const list = document.getElementById('historyList');
+    if (!list.closest('.settings').classList.contains('open')) return;
+    const now = Date.now();
+    const items = this.historyEntries()
+      .reverse()
+      .map(({ index, label, time, current }) => {
+        const item = document.createElement('li');
+        item.className = current ? 'history-item active' : index > this.historyIndex ? 'history-item future' : 'history-item';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const age = document.createElement('span');
+        age.className = 'history-time';
+        age.textContent = relativeTime(now - time);
+        item.append(name, age);
+        item.addEventListener('click', () => this.goToHistory(index));
+        return item;
+      });
+    list.replaceChildren(...items);
+    const note = document.getElementById('historyDropped');
+    note.textContent = `${this.historyDropped} older step${this.historyDropped === 1 ? '' : 's'} trimmed to save memory`;
+    note.classList.toggle('hidden', !this.historyDropped);
   }
 
   showSave() {
     const dialog = document.getElementById('saveDialog');
     const text = document.getElementById('sceneText');
-    text.value = JSON.stringify({ objects: this.objects, links: this.links, nextId: this.nextId, nextLinkId: this.nextLinkId }, null, 2);
+    const scene = this.saveScene({ runtime: document.getElementById('includeRuntime').checked });
+    text.value = JSON.stringify(scene, null, 2);
     dialog.classList.remove('hidden');
   }
 
@@ -893,48 +3833,265 @@ class Playground {
     setTimeout(() => (document.getElementById('copyScene').textContent = 'Copy JSON'), 1200);
   }
 
-  loadScene(event) {
+  showScript() {
+    document.getElementById('scriptDialog').classList.remove('hidden');
+    document.getElementById('scriptInput').focus();
+  }
+
+  hideScript() {
+    document.getElementById('scriptDialog').classList.add('hidden');
+  }
+
+  async runScript() {
+    const code = document.getElementById('scriptInput').value;
+    const output = document.getElementById('scriptOutput');
+    output.textContent = '';
+    const log = (...values) => {
+      output.textContent += `${values.map(formatLogValue).join(' ')}\n`;
+    };
+    try {
+      const script = new AsyncFunction('playground', 'log', code);
+      const result = await this.api.batch(() => script(this.api, log));
+      if (result !== undefined) log(result);
+      if (!output.textContent) log('Done');
+    } catch (err) {
+      log(`Error: ${err.message}`);
+    }
+  }
+
+  exportSVG() {
+    const { width, height } = this.worldSettings;
+    const defs = [];
+    const shapes = [];
+    const paint = (visual) => {
+      let fill = visual.fill;
+      if (visual.renderMode === 'outline') fill = 'none';
+      if (visual.renderMode === 'gradient') {
+        const id = `gradient-${defs.length + 1}`;
+        defs.push(
+          `<linearGradient id="${id}" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${escapeXML(visual.fill)}"/><stop offset="1" stop-color="${escapeXML(visual.stroke)}"/></linearGradient>`
+        );
+        fill = `url(#${id})`;
+      }
+      return { fill, stroke: visual.strokeWidth > 0 ? visual.stroke : 'none', 'stroke-width': visual.strokeWidth, opacity: visual.opacity };
+    };
+    const drawPiece = (piece, visual) => {
+      const attributes = paint(visual);
+      if (piece.circleRadius) {
+        shapes.push(`<circle ${svgAttributes({ cx: piece.position.x, cy: piece.position.y, r: piece.circleRadius, ...attributes })}/>`);
+        return;
+      }
+      shapes.push(`<polygon ${svgAttributes({ points: svgPoints(piece.vertices), ...attributes })}/>`);
+    };
+    const pieces = (body) => (body.parts.length > 1 ? body.parts.slice(1) : [body]);
+    this.objects.forEach((model) => {
+      const body = this.bodyMap.get(model.id);
+      if (!body || this.isFieldRegion(model)) return;
+      if (model.shape.type === 'vertices') {
+        const outline = model.shape.vertices.map((v) => Vector.add(body.position, Vector.rotate(v, body.angle)));
+        shapes.push(`<polygon ${svgAttributes({ points: svgPoints(outline), ...paint(model.visual) })}/>`);
+        return;
+      }
+      if (model.shape.type === 'compound') {
+        const visuals = new Map(model.shape.parts.map((part) => [part.id, part.visual]));
+        pieces(body).forEach((piece) => drawPiece(piece, visuals.get(piece.plugin?.partId) || model.visual));
+        return;
+      }
+      pieces(body).forEach((piece) => drawPiece(piece, model.visual));
+    });
+    this.runtimeBodies.forEach((body) => {
+      pieces(body).forEach((piece) => drawPiece(piece, body.plugin.visual || DEFAULT_VISUAL));
+    });
+    this.links.forEach((link) => {
+      const composite = this.linkMap.get(link.id);
+      const render = { ...DEFAULT_LINK_RENDER, ...link.render };
+      if (!composite || !render.visible) return;
+      composite.bodies.forEach((segment) => {
+        shapes.push(`<polygon ${svgAttributes({ points: svgPoints(segment.vertices), fill: render.color })}/>`);
+      });
+      composite.constraints.forEach((constraint) => {
+        if (constraint.plugin?.bracing) return;
+        const [a, b] = constraintEnds(constraint);
+        if (Vector.magnitude(Vector.sub(b, a)) < 0.5) return;
+        shapes.push(
+          `<line ${svgAttributes({ x1: a.x, y1: a.y, x2: b.x, y2: b.y, stroke: render.color, 'stroke-width': render.width, 'stroke-linecap': 'round' })}/>`
+        );
+      });
+    });
+    const markup = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      defs.length ? `<defs>${defs.join('')}</defs>` : '',
+      ...shapes,
+      '</svg>'
+    ].filter(Boolean);
+    downloadFile('scene.svg', markup.join('\n'), 'image/svg+xml');
+  }
+
+  importSVG(event) {
     const file = event.target.files[0];
     if (!file) return;
+    event.target.value = '';
+    if (this.readOnly) {
+      this.showHint('Fork this shared scene before importing shapes');
+      return;
+    }
     const reader = new FileReader();
     reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (!data.objects) throw new Error('Invalid scene');
-        const nextId = data.nextId || this.inferNextId(data.objects);
-        const nextLinkId = data.nextLinkId || 1;
-        this.applySnapshot({ objects: data.objects, links: data.links || [], nextId, nextLinkId });
-        this.commitHistory();
-      } catch (err) {
-        alert('Failed to load scene: ' + err.message);
+      const doc = new DOMParser().parseFromString(reader.result, 'image/svg+xml');
+      if (doc.querySelector('parsererror') || doc.documentElement.localName !== 'svg') {
+        alert(`Couldn't import "${file.name}": it isn't a valid SVG file.`);
+        return;
+      }
+      const elements = [...doc.querySelectorAll('rect, circle, polygon, path')].filter(
+        (element) => !element.closest('defs, clipPath, mask, pattern, symbol, marker')
+      );
+      const models = [];
+      let skipped = 0;
+      elements.forEach((element) => {
+        const created = this.modelsFromSVGElement(element);
+        if (!created.length) skipped++;
+        models.push(...created);
+      });
+      if (!models.length) {
+        this.showHint('No rectangles, circles, polygons or straight-edged paths found');
+        return;
       }
+      models.forEach((model) => this.addModelToWorld(model));
+      this.commitHistory(`Import ${models.length} SVG shape${models.length === 1 ? '' : 's'}`);
+      this.selectedIds = models.map((model) => model.id);
+      this.selectedLinkId = null;
+      this.updateSelectionVisuals();
+      this.showInspector();
+      this.zoomToSelection();
+      this.showHint(`Imported ${models.length} shape${models.length === 1 ? '' : 's'}${skipped ? ` • skipped ${skipped} unsupported` : ''}`);
     };
     reader.readAsText(file);
   }
 
-  syncModelTransforms() {
-    this.objects.forEach((model) => {
-      const body = this.bodyMap.get(model.id);
-      if (!body) return;
-      model.position = { x: body.position.x, y: body.position.y };
-      model.angle = body.angle;
-    });
+  modelsFromSVGElement(element) {
+    const matrix = svgTransform(element);
+    const apply = (x, y) => {
+      const p = matrix.transformPoint({ x, y });
+      return { x: p.x, y: p.y };
+    };
+    const length = (name) => parseFloat(element.getAttribute(name)) || 0;
+    const rotated = matrix.b !== 0 || matrix.c !== 0;
+    let outlines = [];
+    if (element.localName === 'circle') {
+      const radius = length('r') * Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c));
+      if (radius < 1) return [];
+      const model = this.createModel({ position: apply(length('cx'), length('cy')), shape: { type: 'circle', radius }, bodyType: 'dynamic' });
+      return [this.styleFromSVG(model, element)];
+    }
+    if (element.localName === 'rect') {
+      const [x, y, w, h] = ['x', 'y', 'width', 'height'].map(length);
+      if (!rotated) {
+        const width = Math.abs(w * matrix.a);
+        const height = Math.abs(h * matrix.d);
+        if (width < 1 || height < 1) return [];
+        const model = this.createModel({ position: apply(x + w / 2, y + h / 2), shape: { type: 'rectangle', width, height }, bodyType: 'dynamic' });
+        return [this.styleFromSVG(model, element)];
+      }
+      outlines = [[apply(x, y), apply(x + w, y), apply(x + w, y + h), apply(x, y + h)]];
+    }
+    if (element.localName === 'polygon') {
+      const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) points.push(apply(values[i], values[i + 1]));
+      outlines = [points];
+    }
+    if (element.localName === 'path') {
+      const paths = svgPathOutlines(element.getAttribute('d') || '');
+      if (!paths) return [];
+      outlines = paths.map((path) => path.map((p) => apply(p.x, p.y)));
+    }
+    return outlines
+      .map((points) => {
+        let outline = points.filter((p, i) => i === 0 || Math.hypot(p.x - points[i - 1].x, p.y - points[i - 1].y) > 0.01);
+        if (outline.length > 3 && Math.hypot(outline[0].x - outline[outline.length - 1].x, outline[0].y - outline[outline.length - 1].y) <= 0.01) {
+          outline = outline.slice(0, -1);
+        }
+        if (outline.length < 3 || Math.abs(Vertices.area(outline, true)) < MIN_CUSTOM_AREA) return null;
+        if (!decomp.isSimple(outline.map((p) => [p.x, p.y]))) outline = Vertices.hull(outline.map((p) => ({ ...p })));
+        const { centre, vertices } = centredOutline(outline);
+        const model = this.createModel({ position: { x: centre.x, y: centre.y }, shape: { type: 'vertices', vertices }, bodyType: 'dynamic' });
+        return this.styleFromSVG(model, element);
+      })
+      .filter(Boolean);
   }
 
-  inferNextId(objs) {
-    const ids = objs.map((o) => parseInt((o.id || '').split('-')[1], 10)).filter((n) => !Number.isNaN(n));
-    return (Math.max(-1, ...ids) || 0) + 1;
+  styleFromSVG(model, element) {
+    const lookup = (name) => {
+      for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+        const value = node.style?.getPropertyValue(name) || node.getAttribute(name);
+        if (value && value !== 'inherit') return value.trim();
+      }
+      return null;
+    };
+    const context = document.createElement('canvas').getContext('2d');
+    const color = (value) => {
+      context.fillStyle = '#000000';
+      context.fillStyle = value;
+      return context.fillStyle.startsWith('#') ? context.fillStyle : null;
+    };
+    const visual = model.visual;
+    const fill = lookup('fill') || '#000000';
+    const stroke = lookup('stroke') || 'none';
+    const gradient = fill.match(/^url\(\s*["']?#([^"')]+)["']?\s*\)$/);
+    if (gradient) {
+      const stops = [...(element.ownerDocument.getElementById(gradient[1])?.querySelectorAll('stop') || [])];
+      const colors = stops.map((stop) => color(stop.style?.getPropertyValue('stop-color') || stop.getAttribute('stop-color') || '#000000'));
+      if (colors[0]) visual.fill = colors[0];
+      if (colors.length > 1 && colors[colors.length - 1]) visual.stroke = colors[colors.length - 1];
+      visual.renderMode = 'gradient';
+    } else if (fill === 'none') {
+      visual.renderMode = 'outline';
+    } else {
+      visual.fill = color(fill) || visual.fill;
+    }
+    if (stroke === 'none') {
+      visual.strokeWidth = 0;
+    } else {
+      visual.stroke = color(stroke) || visual.stroke;
+      const strokeWidth = parseFloat(lookup('stroke-width'));
+      visual.strokeWidth = Number.isNaN(strokeWidth) ? 1 : Math.round(strokeWidth * 10) / 10;
+    }
+    const opacity = ['opacity', 'fill-opacity'].reduce((total, name) => {
+      const value = parseFloat(element.style?.getPropertyValue(name) || element.getAttribute(name));
+      return Number.isNaN(value) ? total : total * value;
+    }, 1);
+    visual.opacity = Math.round(Math.min(1, Math.max(0, opacity)) * 100) / 100;
+    return model;
   }
 
-  inferNextLinkId(links = []) {
-    const ids = links
-      .map((l) => parseInt((l.id || '').split('-')[1], 10))
-      .filter((n) => !Number.isNaN(n));
-    return (Math.max(-1, ...ids) || 0) + 1;
+  loadSceneFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try {
+        data = prepareScene(JSON.parse(reader.result));
+      } catch (err) {
+        alert(`Couldn't load "${file.name}".\n\n${err.message}`);
+        return;
+      }
+      this.stopSimulation();
+      this.setReadOnly(false);
+      this.detachLibraryEntry();
+      try {
+        this.loadScene(data);
+      } catch (err) {
+        alert(`Couldn't load "${file.name}": ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
   }
 }
 
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
   const playground = new Playground();
-  playground.showHint(TOOL_HINTS.select);
+  window.playground = playground.api;
+  if (await playground.loadSharedScene()) return;
+  playground.showHint('Edit mode • arrange your layout, then press Simulate');
 });